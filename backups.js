@@ -0,0 +1,19 @@
+// Automatic backups kept on this device before destructive actions.
+import { STORES, getAllForBusiness, putEntry, removeEntry } from './local-db.js';
+
+const KEEP_BACKUPS = 5;
+
+// Newest first
+export async function getLocalBackups(businessId) {
+  const entries = await getAllForBusiness(STORES.BACKUPS, businessId);
+  return entries.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+// Store a backup and drop the oldest ones beyond KEEP_BACKUPS
+export async function saveLocalBackup(entry) {
+  await putEntry(STORES.BACKUPS, entry);
+  const backups = await getLocalBackups(entry.businessId);
+  for (const old of backups.slice(KEEP_BACKUPS)) {
+    await removeEntry(STORES.BACKUPS, old.id);
+  }
+}
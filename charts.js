@@ -0,0 +1,78 @@
+// Analytics charts drawn as inline SVG markup, so nothing leaves the device.
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { top: 12, right: 12, bottom: 28, left: 64 };
+const BAR_HEIGHT = 22;
+const COLORS = { current: '#2563eb', previous: '#94a3b8', grid: '#263142', text: '#94a3b8' };
+
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Axis maximum rounded up to 1, 2, 2.5 or 5 times a power of ten
+export function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const power = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find(s => s * power >= value);
+  return step * power;
+}
+
+// Line chart of [{ key, value }]. `previous` is an optional series drawn dashed underneath,
+// matched to `series` by position (first bucket against first bucket).
+export function lineChart(series, { previous = null, format = String, label = (key) => key } = {}) {
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  const max = niceMax(Math.max(...series.map(p => p.value), ...(previous || []).map(p => p.value)));
+  const x = (i) => PAD.left + (series.length > 1 ? i * plotWidth / (series.length - 1) : plotWidth / 2);
+  const y = (value) => PAD.top + plotHeight - value / max * plotHeight;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(f => `
+    <line x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y(max * f)}" y2="${y(max * f)}" stroke="${COLORS.grid}"/>
+    <text x="${PAD.left - 6}" y="${y(max * f) + 4}" text-anchor="end" font-size="11" fill="${COLORS.text}">${escapeXml(format(max * f))}</text>
+  `).join('');
+
+  // Label at most 8 buckets along the bottom
+  const every = Math.ceil(series.length / 8);
+  const xLabels = series.map((p, i) => i % every === 0
+    ? `<text x="${x(i)}" y="${HEIGHT - 8}" text-anchor="middle" font-size="11" fill="${COLORS.text}">${escapeXml(label(p.key))}</text>`
+    : '').join('');
+
+  const points = (values) => values.slice(0, series.length).map((p, i) => `${x(i)},${y(p.value)}`).join(' ');
+  const previousLine = previous && previous.length
+    ? `<polyline class="chart-previous" points="${points(previous)}" fill="none" stroke="${COLORS.previous}" stroke-width="2" stroke-dasharray="5 4"/>`
+    : '';
+  const dots = series.map((p, i) => {
+    const before = previous?.[i] ? ` (previous: ${format(previous[i].value)})` : '';
+    return `<circle cx="${x(i)}" cy="${y(p.value)}" r="3" fill="${COLORS.current}"><title>${escapeXml(`${label(p.key)}: ${format(p.value)}${before}`)}</title></circle>`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">
+    ${grid}${xLabels}${previousLine}
+    <polyline points="${points(series)}" fill="none" stroke="${COLORS.current}" stroke-width="2"/>
+    ${dots}
+  </svg>`;
+}
+
+// Horizontal bars for [{ label, value, previous }]; `previous` adds a tick where last period ended
+export function barChart(rows, { format = String } = {}) {
+  const labelWidth = 150;
+  const valueWidth = 90;
+  const barWidth = WIDTH - labelWidth - valueWidth;
+  const max = niceMax(Math.max(...rows.map(r => Math.max(r.value, r.previous || 0))));
+  const height = rows.length * BAR_HEIGHT + 4;
+
+  const bars = rows.map((r, i) => {
+    const top = i * BAR_HEIGHT + 4;
+    const tick = r.previous !== undefined
+      ? `<line x1="${labelWidth + r.previous / max * barWidth}" x2="${labelWidth + r.previous / max * barWidth}" y1="${top - 2}" y2="${top + BAR_HEIGHT - 4}" stroke="${COLORS.previous}" stroke-width="2"/>`
+      : '';
+    const title = r.previous !== undefined ? `${r.label}: ${format(r.value)} (previous: ${format(r.previous)})` : `${r.label}: ${format(r.value)}`;
+    return `<g>
+      <title>${escapeXml(title)}</title>
+      <text x="${labelWidth - 8}" y="${top + 13}" text-anchor="end" font-size="12" fill="currentColor">${escapeXml(r.label)}</text>
+      <rect x="${labelWidth}" y="${top}" width="${Math.max(1, r.value / max * barWidth)}" height="${BAR_HEIGHT - 6}" rx="3" fill="${COLORS.current}"/>
+      ${tick}
+      <text x="${WIDTH - 4}" y="${top + 13}" text-anchor="end" font-size="12" fill="currentColor">${escapeXml(format(r.value))}</text>
+    </g>`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${WIDTH} ${height}" role="img">${bars}</svg>`;
+}
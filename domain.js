@@ -0,0 +1,663 @@
+// Purchase, billing and analytics rules, free of Firebase and the DOM so they can be unit tested.
+
+// Dates
+// Dates are calendar days as 'YYYY-MM-DD' strings. Arithmetic on them is done in UTC, where
+// every day is 24 hours long, so results don't depend on the device's timezone or DST.
+const toUTC = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+const fromUTC = (date) => date.toISOString().slice(0,10);
+
+export const addDays = (iso, days) => {
+  const date = toUTC(iso);
+  date.setUTCDate(date.getUTCDate() + days);
+  return fromUTC(date);
+};
+
+// Today's date in the business's timezone (IANA name, e.g. Asia/Kolkata); device timezone if none is set
+export function todayIn(timeZone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+// Weeks start on weekStartsOn (0 = Sunday ... 6 = Saturday; Monday by default)
+export const weekStart = (iso, weekStartsOn = 1) => {
+  const day = toUTC(iso).getUTCDay();
+  return addDays(iso, -((day - weekStartsOn + 7) % 7));
+};
+
+export const weekEnd = (iso, weekStartsOn = 1) => addDays(weekStart(iso, weekStartsOn), 6);
+
+// First and last day of the week or month containing `today`
+export function periodRange(period, today, weekStartsOn = 1) {
+  if (period === 'month') {
+    const [y, m] = today.split('-').map(Number);
+    return {
+      from: `${today.slice(0,7)}-01`,
+      to: fromUTC(new Date(Date.UTC(y, m, 0)))
+    };
+  }
+  return { from: weekStart(today, weekStartsOn), to: weekEnd(today, weekStartsOn) };
+}
+
+// Recurring purchases
+// Dates between from and to (inclusive) on which a recurring rule delivers:
+// frequency 'daily', 'weekdays' (Mon–Fri) or 'weekly' on rule.days (0 = Sunday ... 6 = Saturday),
+// limited to startDate..endDate and leaving out skipDates
+export function recurringDates(rule, from, to) {
+  const start = rule.startDate > from ? rule.startDate : from;
+  const end = rule.endDate && rule.endDate < to ? rule.endDate : to;
+  const skip = new Set(rule.skipDates || []);
+  const dates = [];
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const day = toUTC(date).getUTCDay();
+    const due = rule.frequency === 'weekdays' ? day >= 1 && day <= 5
+      : rule.frequency === 'weekly' ? (rule.days || []).includes(day)
+      : true;
+    if (due && !skip.has(date)) dates.push(date);
+  }
+  return dates;
+}
+
+// Generated purchases get predictable ids, so no device creates the same day twice
+export const recurringPurchaseId = (ruleId, date) => `rec-${ruleId}-${date}`;
+
+// Financial year label (April–March) for an ISO date, e.g. 2025-26
+export const financialYear = (iso) => {
+  const [y, m] = iso.split('-').map(Number);
+  const start = m >= 4 ? y : y - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// Amounts
+// Kept to the paisa; toPrecision drops float noise such as 1.5 × 33.33 = 49.99499999...
+const toPaise = (n) => Math.round(Number((Number(n || 0) * 100).toPrecision(12)));
+
+export const round2 = (n) => toPaise(n) / 100;
+
+export const sumAmounts = (amounts) => amounts.reduce((s, n) => s + toPaise(n), 0) / 100;
+
+// Amount in words using the Indian system (thousand, lakh, crore)
+export function amountInWords(amount) {
+  const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+  const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+  const twoDigits = (n) => n < 20 ? ones[n] : `${tens[Math.floor(n / 10)]}${n % 10 ? ' ' + ones[n % 10] : ''}`;
+  const threeDigits = (n) => {
+    const hundred = Math.floor(n / 100);
+    const rest = n % 100;
+    return [hundred ? `${ones[hundred]} Hundred` : '', rest ? twoDigits(rest) : ''].filter(Boolean).join(' ');
+  };
+  const words = (n) => {
+    if (n === 0) return 'Zero';
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    const lakh = Math.floor((n % 10000000) / 100000);
+    const thousand = Math.floor((n % 100000) / 1000);
+    const rest = n % 1000;
+    if (crore) parts.push(`${words(crore)} Crore`);
+    if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+    if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+    if (rest) parts.push(threeDigits(rest));
+    return parts.join(' ');
+  };
+
+  const paiseTotal = Math.round(Math.abs(Number(amount || 0)) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return `Rupees ${words(rupees)}${paise ? ` and ${twoDigits(paise)} Paise` : ''} Only`;
+}
+
+// Split a GST-inclusive amount into taxable value and CGST/SGST or IGST
+export function gstSplit(amount, rate, interState) {
+  const taxable = round2(amount * 100 / (100 + Number(rate || 0)));
+  const tax = round2(amount - taxable);
+  if (interState) return { taxable, cgst: 0, sgst: 0, igst: tax, tax };
+  const cgst = round2(tax / 2);
+  return { taxable, cgst, sgst: round2(tax - cgst), igst: 0, tax };
+}
+
+// Prices
+// Price of an item in effect on a given date (falls back to the catalog price)
+export const priceOn = (item, date) => {
+  const history = (item.priceHistory || [])
+    .filter(h => !h.effectiveFrom || !date || h.effectiveFrom <= date)
+    .sort((a,b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+  return history.length ? Number(history[history.length - 1].price) : Number(item.price || 0);
+};
+
+// Price history after setting `price` from `effectiveFrom`; originalPrice is the item's saved price ('' for new items)
+export function nextPriceHistory(history, originalPrice, price, effectiveFrom) {
+  history = [...(history || [])];
+
+  // Items saved before price history existed: their current price has always applied
+  if (history.length === 0 && originalPrice !== '' && originalPrice !== undefined && originalPrice !== null) {
+    history.push({ price: Number(originalPrice) || 0, effectiveFrom: null });
+  }
+
+  const current = history.length ? history[history.length - 1] : null;
+  if (current && Number(current.price) === price) return history;
+
+  // Replace any entry for the same effective date instead of stacking duplicates
+  history = history.filter(h => h.effectiveFrom !== effectiveFrom);
+  history.push({ price, effectiveFrom, recordedAt: new Date().toISOString() });
+  return history.sort((a,b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+}
+
+// Units of measure
+// An item is priced per `unit`; a purchase line may record its qty in another unit with the
+// same base (`qtyUnit`), e.g. 500 g at a per-kg rate. Lines saved before units existed are pieces.
+export const UNITS = {
+  kg: { label: 'kg', base: 'g', factor: 1000 },
+  g: { label: 'g', base: 'g', factor: 1 },
+  L: { label: 'L', base: 'mL', factor: 1000 },
+  mL: { label: 'mL', base: 'mL', factor: 1 },
+  piece: { label: 'pc', base: 'piece', factor: 1 },
+  dozen: { label: 'dozen', base: 'piece', factor: 12 },
+  packet: { label: 'pkt', base: 'packet', factor: 1 }
+};
+
+export const DEFAULT_UNIT = 'piece';
+
+export const compatibleUnits = (unit) => {
+  const base = UNITS[unit || DEFAULT_UNIT].base;
+  return Object.keys(UNITS).filter(u => UNITS[u].base === base);
+};
+
+export function convertQty(qty, from, to) {
+  const a = UNITS[from || DEFAULT_UNIT];
+  const b = UNITS[to || DEFAULT_UNIT];
+  if (!a || !b || a.base !== b.base) throw new Error(`Cannot convert ${from} to ${to}`);
+  return Number(qty || 0) * a.factor / b.factor;
+}
+
+export const roundQty = (qty, decimals = 0) => Number(Number(qty || 0).toFixed(decimals));
+
+// Decimal places allowed for quantities entered in `unit` (the item's own unit unless given):
+// the item's precision, or whole numbers for the other units
+export function qtyDecimals(item, unit = item.unit) {
+  if ((unit || DEFAULT_UNIT) !== (item.unit || DEFAULT_UNIT)) return 0;
+  if (item.precision !== undefined && item.precision !== '') return Number(item.precision);
+  return item.unit === 'kg' || item.unit === 'L' ? 3 : 0;
+}
+
+export const formatQty = (qty, unit) => `${Number(qty || 0)} ${UNITS[unit || DEFAULT_UNIT]?.label || unit}`;
+
+// Product comparison
+// Seller items linked to the same product (item.productId) are the same goods from different sellers.
+
+// Price of an item per `unit` on a date (null when the units can't be compared, e.g. kg and L)
+export function unitPrice(item, date, unit) {
+  const itemUnit = item.unit || DEFAULT_UNIT;
+  if (!compatibleUnits(unit).includes(itemUnit)) return null;
+  return Number((priceOn(item, date) / convertQty(1, itemUnit, unit)).toPrecision(12));
+}
+
+// Every seller's offer for a product on a date, priced per `unit`, cheapest first
+export function productOffers(sellers, productId, date, unit) {
+  return sellers
+    .flatMap(s => (s.items || [])
+      .filter(it => it.productId === productId)
+      .map(it => ({ sellerId: s.id, sellerName: s.name, item: it, price: unitPrice(it, date, unit) })))
+    .filter(offer => offer.price !== null)
+    .sort((a,b) => a.price - b.price);
+}
+
+// The cheapest other seller of an item's product on a date, when they charge less than `sellerId` does
+export function cheaperElsewhere(sellers, sellerId, item, date) {
+  if (!item.productId) return null;
+  const best = productOffers(sellers, item.productId, date, item.unit || DEFAULT_UNIT).find(o => o.sellerId !== sellerId);
+  return best && best.price < priceOn(item, date) ? best : null;
+}
+
+// Discounts
+// A discount is { type: 'percent' | 'flat', value }, given on a purchase line or on a whole bill
+
+// "10%" is 10 percent off, "50" or "₹50" is ₹50 off; blank means no discount
+export function parseDiscount(text) {
+  const clean = String(text ?? '').replace(/[₹,\s]/g, '');
+  if (!clean) return null;
+  const match = clean.match(/^(\d+(?:\.\d+)?)(%?)$/);
+  if (!match || (match[2] && Number(match[1]) > 100)) throw new Error(`"${text}" is not a discount. Use e.g. 10% or 50`);
+  return Number(match[1]) ? { type: match[2] ? 'percent' : 'flat', value: Number(match[1]) } : null;
+}
+
+// Rupees off `gross`, never more than gross itself
+export function discountAmount(gross, discount) {
+  const value = Number(discount?.value);
+  if (!(value > 0) || !(gross > 0)) return 0;
+  return round2(Math.min(gross, discount.type === 'percent' ? gross * value / 100 : value));
+}
+
+// Entries
+// The purchases collection also holds returns of goods (type 'return', each line with `returnOf`, the id
+// of the purchase it came from) and seller credit notes (type 'credit' with an `amount` and no lines).
+// Both count against spend and the amount owed.
+export const isReturnOrCredit = (p) => p.type === 'return' || p.type === 'credit';
+
+// A return of `qty` (in the line's entry unit) of a purchase line. A flat line discount is shared pro rata.
+export function returnLine(line, qty, purchaseId) {
+  const { discount, ...rest } = line;
+  const returned = { ...rest, qty: Number(qty), returnOf: purchaseId };
+  if (discount?.type === 'percent') returned.discount = discount;
+  if (discount?.type === 'flat') returned.discount = { type: 'flat', value: round2(discount.value * qty / line.qty) };
+  return returned;
+}
+
+// Quantity of an item already returned from a purchase, in the purchase line's entry unit
+export function returnedQty(entries, purchaseId, itemId) {
+  const qty = entries
+    .filter(p => p.type === 'return')
+    .flatMap(p => p.items || [])
+    .filter(line => line.returnOf === purchaseId && line.itemId === itemId)
+    .reduce((s, line) => s + Number(line.qty), 0);
+  return roundQty(qty, 6);
+}
+
+// Purchase totals
+// Before any line discount
+export const lineGross = (line) => round2(convertQty(line.qty, line.qtyUnit || line.unit, line.unit) * Number(line.price || 0));
+
+export const lineAmount = (line) => {
+  const gross = lineGross(line);
+  return sumAmounts([gross, -discountAmount(gross, line.discount)]);
+};
+
+// Negative for returns and credit notes
+export function purchaseTotal(p) {
+  if (p.type === 'credit') return -round2(p.amount);
+  const total = sumAmounts((p.items || []).map(lineAmount));
+  return p.type === 'return' && total ? -total : total;
+}
+
+export const sumPurchases = (purchases) => sumAmounts(purchases.map(purchaseTotal));
+
+export const inRange = (p, from, to) => p.date >= from && p.date <= to;
+
+// Purchase totals grouped by keyOf(purchase), e.g. per seller or per month
+export function totalsBy(purchases, keyOf) {
+  const totals = {};
+  purchases.forEach(p => {
+    const key = keyOf(p);
+    totals[key] = sumAmounts([totals[key] || 0, purchaseTotal(p)]);
+  });
+  return totals;
+}
+
+export const weekKey = (p, weekStartsOn = 1) => `${weekStart(p.date, weekStartsOn)}—${weekEnd(p.date, weekStartsOn)}`;
+export const monthKey = (p) => p.date.slice(0,7);
+
+// Header figures: this week, this month and everything not yet billed
+export function periodTotals(purchases, today, weekStartsOn = 1) {
+  const week = periodRange('week', today, weekStartsOn);
+  const month = today.slice(0,7);
+  return {
+    week: sumPurchases(purchases.filter(p => inRange(p, week.from, week.to))),
+    month: sumPurchases(purchases.filter(p => p.date.startsWith(month))),
+    unbilled: sumPurchases(purchases.filter(p => !p.billed))
+  };
+}
+
+// Analytics
+export const daysBetween = (from, to) => Math.round((toUTC(to) - toUTC(from)) / 86400000) + 1;
+
+// The range of the same length just before from..to, for comparing against the previous period
+export function previousRange(from, to) {
+  const days = daysBetween(from, to);
+  return { from: addDays(from, -days), to: addDays(from, -1) };
+}
+
+// Change from `previous` to `current` in percent (null when there is nothing to compare with)
+export const percentChange = (current, previous) => previous ? Math.round((current - previous) / previous * 100) : null;
+
+// Chart bucket a date falls in: 'day', 'week' (its first day) or 'month' (YYYY-MM)
+export function bucketOf(date, granularity, weekStartsOn = 1) {
+  if (granularity === 'month') return date.slice(0,7);
+  if (granularity === 'week') return weekStart(date, weekStartsOn);
+  return date;
+}
+
+// Every bucket from..to in order, so periods without purchases still show up
+export function bucketsBetween(from, to, granularity, weekStartsOn = 1) {
+  const buckets = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const key = bucketOf(date, granularity, weekStartsOn);
+    if (buckets[buckets.length - 1] !== key) buckets.push(key);
+  }
+  return buckets;
+}
+
+// Purchase lines dated from..to as { purchase, line, amount }, optionally narrowed by keep(line, purchase).
+// Returned lines have negative amounts and a credit note is a single 'Credit note' line.
+export function linesInRange(purchases, from, to, keep = () => true) {
+  return purchases
+    .filter(p => inRange(p, from, to))
+    .flatMap(p => (p.type === 'credit' ? [{ name: 'Credit note', qty: 0, price: 0 }] : (p.items || []))
+      .filter(line => keep(line, p))
+      .map(line => ({ purchase: p, line, amount: p.type === 'credit' ? -round2(p.amount) : p.type === 'return' ? -lineAmount(line) : lineAmount(line) })));
+}
+
+// Spend per bucket, as [{ key, value }] covering from..to
+export function spendSeries(lines, from, to, granularity, weekStartsOn = 1) {
+  const totals = {};
+  lines.forEach(({ purchase, amount }) => {
+    const key = bucketOf(purchase.date, granularity, weekStartsOn);
+    totals[key] = sumAmounts([totals[key] || 0, amount]);
+  });
+  return bucketsBetween(from, to, granularity, weekStartsOn).map(key => ({ key, value: totals[key] || 0 }));
+}
+
+// Spend grouped by keyOf(line, purchase), largest first
+export function spendBreakdown(lines, keyOf) {
+  const totals = {};
+  lines.forEach(({ purchase, line, amount }) => {
+    const key = keyOf(line, purchase);
+    totals[key] = sumAmounts([totals[key] || 0, amount]);
+  });
+  return Object.entries(totals)
+    .map(([key, value]) => ({ key, value }))
+    .sort((a,b) => b.value - a.value);
+}
+
+// Quantity of one item per bucket, in `unit`, less returns. Lines recorded in an unrelated unit
+// (before the item's unit was changed) count as they were entered.
+export function qtySeries(lines, itemId, unit, from, to, granularity, weekStartsOn = 1) {
+  const totals = {};
+  lines.filter(({ line }) => line.itemId === itemId).forEach(({ purchase, line }) => {
+    const key = bucketOf(purchase.date, granularity, weekStartsOn);
+    const lineUnit = line.qtyUnit || line.unit || DEFAULT_UNIT;
+    const qty = compatibleUnits(unit).includes(lineUnit) ? convertQty(line.qty, lineUnit, unit) : Number(line.qty);
+    totals[key] = (totals[key] || 0) + (purchase.type === 'return' ? -qty : qty);
+  });
+  return bucketsBetween(from, to, granularity, weekStartsOn).map(key => ({ key, value: roundQty(totals[key] || 0, 6) }));
+}
+
+// What buying each line from the cheapest seller of its product on the purchase date would have saved,
+// per product, largest saving first. Lines of items not linked to a product save nothing.
+export function potentialSavings(lines, sellers) {
+  const catalog = {};
+  sellers.forEach(s => (s.items || []).forEach(it => { catalog[it.itemId] = it; }));
+
+  const byProduct = {};
+  lines.forEach(({ purchase, line, amount }) => {
+    const productId = catalog[line.itemId]?.productId;
+    if (!productId || isReturnOrCredit(purchase)) return;
+    const unit = line.unit || DEFAULT_UNIT;
+    const best = productOffers(sellers, productId, purchase.date, unit)[0];
+    if (!best) return;
+
+    const cheapest = round2(convertQty(line.qty, line.qtyUnit || unit, unit) * best.price);
+    // A line discount counts as part of the price paid
+    if (cheapest >= amount) return;
+    const entry = byProduct[productId] = byProduct[productId] || { productId, paid: 0, cheapest: 0, saving: 0, sellerName: '' };
+    entry.paid = sumAmounts([entry.paid, amount]);
+    entry.cheapest = sumAmounts([entry.cheapest, cheapest]);
+    entry.saving = sumAmounts([entry.paid, -entry.cheapest]);
+    entry.sellerName = best.sellerName;
+  });
+
+  const products = Object.values(byProduct).sort((a,b) => b.saving - a.saving);
+  return { total: sumAmounts(products.map(p => p.saving)), products };
+}
+
+// Budgets
+// A budget caps spend per 'week' or 'month' for one seller (scope 'seller', target = seller id) or one
+// item category (scope 'category', target = category name, looked up per line with categoryOf).
+const budgetCovers = (budget, categoryOf) => (line, purchase) => budget.scope === 'seller'
+  ? purchase.sellerId === budget.target
+  : categoryOf(line) === budget.target;
+
+export function budgetSpent(budget, purchases, from, to, categoryOf = () => '') {
+  return sumAmounts(linesInRange(purchases, from, to, budgetCovers(budget, categoryOf)).map(l => l.amount));
+}
+
+// Each budget in the period containing `date`: { budget, from, to, spent, ratio }
+export function budgetStatus(budgets, purchases, date, weekStartsOn = 1, categoryOf) {
+  return budgets.map(budget => {
+    const { from, to } = periodRange(budget.period, date, weekStartsOn);
+    const spent = budgetSpent(budget, purchases, from, to, categoryOf);
+    return { budget, from, to, spent, ratio: spent / budget.amount };
+  });
+}
+
+// Budgets that a new purchase adds to and takes over their amount, with the spend `after` it
+export function budgetWarnings(budgets, purchases, purchase, weekStartsOn = 1, categoryOf) {
+  return budgetStatus(budgets, purchases, purchase.date, weekStartsOn, categoryOf)
+    .map(status => ({
+      ...status,
+      after: sumAmounts([status.spent, budgetSpent(status.budget, [purchase], status.from, status.to, categoryOf)])
+    }))
+    .filter(status => status.after > status.spent && status.after > status.budget.amount);
+}
+
+// Spend in the last `count` periods up to the one containing `today`, oldest first, against the current amount
+export function budgetHistory(budget, purchases, today, count = 6, weekStartsOn = 1, categoryOf) {
+  const periods = [];
+  let date = today;
+  for (let i = 0; i < count; i++) {
+    const { from, to } = periodRange(budget.period, date, weekStartsOn);
+    periods.unshift({ from, to, amount: budget.amount, spent: budgetSpent(budget, purchases, from, to, categoryOf) });
+    date = addDays(from, -1);
+  }
+  return periods;
+}
+
+// Lines above their item's usual quantity (item.maxQty, in the item's unit)
+export function unusualQuantities(items, itemsById) {
+  return items.filter(line => {
+    const max = Number(itemsById[line.itemId]?.maxQty);
+    return max > 0 && convertQty(line.qty, line.qtyUnit || line.unit, line.unit) > max;
+  });
+}
+
+// Bills
+// Build an (unsaved) bill document from a set of purchases, returns and credit notes.
+// Seller GSTINs and tax rates are copied in so the saved invoice doesn't change with later edits;
+// `business` is the billing business's settings (name, GSTIN, state code, address).
+// `discount` is an optional discount on the whole bill, shared between sellers by their net goods.
+export function buildBill(purchases, period, from, to, sellerDocs = [], business = {}, discount = null) {
+  const bySeller = {};
+  purchases.forEach(p => {
+    const sellerDoc = sellerDocs.find(s => s.id === p.sellerId);
+    const seller = bySeller[p.sellerId] = bySeller[p.sellerId] || { sellerId: p.sellerId, sellerName: p.sellerName, gstin: sellerDoc?.gstin || '', items: {}, returns: [], credits: [] };
+    if (p.type === 'credit') {
+      seller.credits.push({ date: p.date, reason: p.reason || '', amount: round2(p.amount) });
+      return;
+    }
+    (p.items || []).forEach(it => {
+      // Purchases recorded before GST fields existed take them from the current catalog
+      const catalogItem = (sellerDoc?.items || []).find(i => i.itemId === it.itemId);
+      const gstRate = Number(it.gstRate ?? catalogItem?.gstRate ?? 0);
+      const hsn = it.hsn || catalogItem?.hsn || '';
+      const unit = it.unit || DEFAULT_UNIT;
+      if (p.type === 'return') {
+        seller.returns.push({ date: p.date, itemId: it.itemId, name: it.name, price: it.price, unit, qty: it.qty, qtyUnit: it.qtyUnit || unit, hsn, gstRate, reason: p.reason || '', amount: lineAmount(it) });
+        return;
+      }
+      // One row per item, rate and unit, so a price change mid-period shows both rates
+      const key = `${it.itemId}@${it.price}@${gstRate}@${unit}`;
+      seller.items[key] = seller.items[key] || { itemId: it.itemId, name: it.name, price: it.price, unit, hsn, gstRate, lines: [] };
+      seller.items[key].lines.push({
+        date: p.date,
+        qty: it.qty,
+        unit: it.qtyUnit || unit,
+        gross: lineGross(it),
+        amount: lineAmount(it)
+      });
+    });
+  });
+
+  const sellers = Object.values(bySeller).map(seller => {
+    // Inter-state supply (IGST) when the seller's state differs from ours
+    const sellerState = seller.gstin.slice(0, 2);
+    const interState = !!(sellerState && business.stateCode && sellerState !== business.stateCode);
+
+    const items = Object.values(seller.items).map(item => {
+      const lines = item.lines.sort((a,b) => a.date.localeCompare(b.date));
+      const gross = sumAmounts(lines.map(x => x.gross));
+      const amount = sumAmounts(lines.map(x => x.amount));
+      return {
+        ...item,
+        lines,
+        // Total in the item's own unit
+        qty: roundQty(lines.reduce((s,x) => s + convertQty(x.qty, x.unit, item.unit), 0), 6),
+        gross,
+        discount: sumAmounts([gross, -amount]),
+        amount,
+        ...gstSplit(amount, item.gstRate, interState)
+      };
+    });
+    const returns = seller.returns
+      .sort((a,b) => a.date.localeCompare(b.date))
+      .map(r => ({ ...r, ...gstSplit(r.amount, r.gstRate, interState) }));
+    const credits = seller.credits.sort((a,b) => a.date.localeCompare(b.date));
+
+    // Returned goods come off the tax slab they were bought in
+    const taxSummary = {};
+    const addToSlab = (line, sign) => {
+      const slab = taxSummary[line.gstRate] = taxSummary[line.gstRate] || { rate: line.gstRate, taxable: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 };
+      ['taxable', 'cgst', 'sgst', 'igst', 'tax'].forEach(k => { slab[k] = round2(slab[k] + sign * line[k]); });
+    };
+    items.forEach(item => addToSlab(item, 1));
+    returns.forEach(r => addToSlab(r, -1));
+
+    const goods = sumAmounts(items.map(x => x.amount));
+    const returnsTotal = sumAmounts(returns.map(x => x.amount));
+    return {
+      sellerId: seller.sellerId,
+      sellerName: seller.sellerName,
+      gstin: seller.gstin,
+      interState,
+      items,
+      returns,
+      credits,
+      taxSummary: Object.values(taxSummary).sort((a,b) => a.rate - b.rate),
+      goods,
+      returnsTotal,
+      creditsTotal: sumAmounts(credits.map(x => x.amount)),
+      net: sumAmounts([goods, -returnsTotal])
+    };
+  });
+
+  // The bill discount is split by each seller's net goods; rounding leftovers go to the largest.
+  // No share is more than the seller is owed after credit notes, so no total goes below zero
+  const discountable = sumAmounts(sellers.map(s => Math.max(0, s.net)));
+  const shares = sellers.map(s => round2(discountAmount(discountable, discount) * Math.max(0, s.net) / (discountable || 1)));
+  if (sellers.length) {
+    const largest = sellers.reduce((best, s, i) => s.net > sellers[best].net ? i : best, 0);
+    shares[largest] = sumAmounts([shares[largest], discountAmount(discountable, discount), -sumAmounts(shares)]);
+  }
+  sellers.forEach((s, i) => { shares[i] = Math.min(shares[i], Math.max(0, sumAmounts([s.net, -s.creditsTotal]))); });
+  const billDiscount = sumAmounts(shares);
+
+  const billSellers = sellers.map(({ net, ...seller }, i) => {
+    const share = shares[i];
+    // A bill discount lowers the taxable value and tax of every slab alike
+    if (share) {
+      const factor = (net - share) / net;
+      seller.taxSummary.forEach(slab => {
+        slab.taxable = round2(slab.taxable * factor);
+        slab.tax = round2(slab.tax * factor);
+        slab.igst = seller.interState ? slab.tax : 0;
+        slab.cgst = seller.interState ? 0 : round2(slab.tax / 2);
+        slab.sgst = seller.interState ? 0 : round2(slab.tax - slab.cgst);
+      });
+    }
+    return {
+      ...seller,
+      discount: share,
+      taxable: round2(seller.taxSummary.reduce((s,x) => s + x.taxable, 0)),
+      tax: round2(seller.taxSummary.reduce((s,x) => s + x.tax, 0)),
+      total: sumAmounts([net, -share, -seller.creditsTotal])
+    };
+  });
+
+  return {
+    billNumber: '',
+    period,
+    from,
+    to,
+    sellers: billSellers,
+    sellerIds: billSellers.map(s => s.sellerId),
+    recipient: {
+      name: business.name || '',
+      gstin: business.gstin || '',
+      stateCode: business.stateCode || '',
+      address: business.address || ''
+    },
+    discount: billDiscount ? discount : null,
+    discountAmount: billDiscount,
+    taxable: round2(billSellers.reduce((s,x) => s + x.taxable, 0)),
+    tax: round2(billSellers.reduce((s,x) => s + x.tax, 0)),
+    total: sumAmounts(billSellers.map(x => x.total)),
+    status: 'draft',
+    purchaseIds: purchases.map(p => p.id)
+  };
+}
+
+// Invoice numbers restart every financial year: INV/2025-26/0001, INV/2025-26/0002, ...
+// The running number of each year is kept on a counter document (see markAsBilled).
+export const formatBillNumber = (fy, seq) => `INV/${fy}/${String(seq).padStart(4, '0')}`;
+
+// { financialYear, seq } of an invoice number, or null for anything else
+export function parseBillNumber(number) {
+  const match = /^INV\/(\d{4}-\d{2})\/(\d+)$/.exec(String(number || ''));
+  return match ? { financialYear: match[1], seq: Number(match[2]) } : null;
+}
+
+// Highest running number among bills of a financial year, 0 if there are none
+export const lastBillSeq = (bills, fy) => bills.reduce((max, b) => {
+  const parsed = parseBillNumber(b.billNumber);
+  return parsed && parsed.financialYear === fy ? Math.max(max, parsed.seq) : max;
+}, 0);
+
+// Payments
+// Per-seller money position: unbilled purchases, billed but unpaid, and overall outstanding.
+// Purchases already net off returns and credit notes; bill discounts are taken off what is outstanding.
+export function sellerBalances(purchases, bills, payments) {
+  const balances = {};
+  const entry = (sellerId, sellerName) => {
+    balances[sellerId] = balances[sellerId] || { sellerId, sellerName, purchased: 0, unbilled: 0, billed: 0, billDiscounts: 0, paid: 0 };
+    if (sellerName) balances[sellerId].sellerName = sellerName;
+    return balances[sellerId];
+  };
+
+  purchases.forEach(p => {
+    const b = entry(p.sellerId, p.sellerName);
+    const total = purchaseTotal(p);
+    b.purchased += total;
+    if (!p.billed) b.unbilled += total;
+  });
+  bills.filter(bill => bill.status !== 'void').forEach(bill => {
+    (bill.sellers || []).forEach(s => {
+      const b = entry(s.sellerId, s.sellerName);
+      b.billed += s.total;
+      b.billDiscounts += s.discount || 0;
+    });
+  });
+  payments.forEach(p => { entry(p.sellerId, p.sellerName).paid += Number(p.amount); });
+
+  Object.values(balances).forEach(b => {
+    b.billedUnpaid = b.billed - b.paid;
+    b.outstanding = b.purchased - b.billDiscounts - b.paid;
+  });
+  return balances;
+}
+
+// Amount of a bill still due for one of its sellers
+export function billDue(bill, sellerId, payments) {
+  const seller = (bill.sellers || []).find(s => s.sellerId === sellerId);
+  const paid = payments
+    .filter(p => p.billId === bill.id && p.sellerId === sellerId)
+    .reduce((s,p) => s + Number(p.amount), 0);
+  return (seller ? seller.total : 0) - paid;
+}
@@ -0,0 +1,61 @@
+// Small promise wrapper around the app's IndexedDB database.
+// Holds data that must survive reloads without a connection: the write outbox and automatic backups.
+
+const DB_NAME = 'purchase-tracker';
+const DB_VERSION = 2;
+
+export const STORES = {
+  OUTBOX: 'outbox',
+  BACKUPS: 'backups'
+};
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Every store is keyed by id and indexed by business, so accounts on one device stay separate
+      Object.values(STORES).forEach(name => {
+        if (db.objectStoreNames.contains(name)) return;
+        const store = db.createObjectStore(name, { keyPath: 'id' });
+        store.createIndex('businessId', 'businessId');
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  
+  return dbPromise;
+}
+
+async function run(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function getAllForBusiness(storeName, businessId) {
+  const entries = await run(storeName, 'readonly', store => store.index('businessId').getAll(businessId));
+  return entries || [];
+}
+
+export function putEntry(storeName, entry) {
+  return run(storeName, 'readwrite', store => store.put(entry));
+}
+
+export function removeEntry(storeName, id) {
+  return run(storeName, 'readwrite', store => store.delete(id));
+}
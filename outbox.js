@@ -0,0 +1,17 @@
+// Outbox of writes waiting to reach Firestore.
+// Entries survive reloads, so purchases recorded offline are never lost.
+import { STORES, getAllForBusiness, putEntry, removeEntry } from './local-db.js';
+
+// All queued entries for a business, oldest first
+export async function getQueued(businessId) {
+  const entries = await getAllForBusiness(STORES.OUTBOX, businessId);
+  return entries.sort((a, b) => (a.queuedAt || '').localeCompare(b.queuedAt || ''));
+}
+
+export function putQueued(entry) {
+  return putEntry(STORES.OUTBOX, entry);
+}
+
+export function removeQueued(id) {
+  return removeEntry(STORES.OUTBOX, id);
+}
@@ -0,0 +1,88 @@
+// Item photos live in Firebase Storage; seller items reference them by path.
+import { storage } from './firebase-config.js';
+import { ref, uploadBytes, uploadString, getBytes, getMetadata, getDownloadURL } from 'firebase/storage';
+
+const THUMB_SIZE = 160;
+const FULL_SIZE = 1600;
+
+const PHOTO_METADATA = { contentType: 'image/jpeg', cacheControl: 'private, max-age=31536000' };
+
+const urlCache = new Map();
+
+// Resize an image file or blob to a JPEG no larger than maxSize on either side
+export function resizeImage(file, maxSize, quality) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const src = URL.createObjectURL(file);
+    
+    img.onload = () => {
+      URL.revokeObjectURL(src);
+      const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to process image.')), 'image/jpeg', quality);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(src);
+      reject(new Error('Failed to process image. Please try a different photo.'));
+    };
+    img.src = src;
+  });
+}
+
+// Upload thumbnail and full-size variants. Every upload gets fresh paths, and old files
+// are left in place so backups that still reference them keep working.
+export async function uploadItemPhoto(businessId, itemId, file) {
+  const base = `businesses/${businessId}/items/${itemId}/${Date.now().toString(36)}`;
+  const thumbPath = `${base}-thumb.jpg`;
+  const photoPath = `${base}-full.jpg`;
+  
+  const [thumb, full] = await Promise.all([
+    resizeImage(file, THUMB_SIZE, 0.7),
+    resizeImage(file, FULL_SIZE, 0.85)
+  ]);
+  await Promise.all([
+    uploadBytes(ref(storage, thumbPath), thumb, PHOTO_METADATA),
+    uploadBytes(ref(storage, photoPath), full, PHOTO_METADATA)
+  ]);
+  
+  console.log('Photo uploaded:', file.name || itemId, 'thumb', thumb.size, 'full', full.size);
+  return { thumbPath, photoPath };
+}
+
+// Download URLs don't change for a path, so each is looked up once per session
+export async function photoURL(path) {
+  if (!urlCache.has(path)) {
+    urlCache.set(path, getDownloadURL(ref(storage, path)).catch(error => {
+      urlCache.delete(path);
+      throw error;
+    }));
+  }
+  return urlCache.get(path);
+}
+
+// Read a stored photo as base64 so a backup file can carry it
+export async function downloadPhoto(path) {
+  const bytes = new Uint8Array(await getBytes(ref(storage, path)));
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Put a photo from a backup back at its path. Storage rules don't allow overwrites, so a
+// photo that is still there is left alone; returns true if it was uploaded
+export async function restorePhoto(path, base64) {
+  const photoRef = ref(storage, path);
+  try {
+    await getMetadata(photoRef);
+    return false;
+  } catch (error) {
+    if (error.code !== 'storage/object-not-found') throw error;
+  }
+  await uploadString(photoRef, base64, 'base64', PHOTO_METADATA);
+  return true;
+}
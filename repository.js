@@ -0,0 +1,122 @@
+// Storage for one business's sellers, purchases, bills and payments.
+// script.js reads and writes through a repository, so tests can use the in-memory one instead of Firestore.
+// Batched writes are lists of { type: 'set' | 'update' | 'delete', collection, id, data };
+// transact also takes 'create', which only writes a document that doesn't exist yet.
+import { collection, doc, getDocs, addDoc, setDoc, updateDoc, deleteDoc, writeBatch, runTransaction, onSnapshot } from 'firebase/firestore';
+
+const withId = (d) => ({ id: d.id, ...d.data() });
+
+// Adds one write to a batch or transaction
+const write = (target, ref, op) => {
+  if (op.type === 'set') target.set(ref, op.data);
+  else if (op.type === 'update') target.update(ref, op.data);
+  else target.delete(ref);
+};
+
+export function createFirestoreRepository(db, businessId) {
+  const collectionRef = (name) => collection(db, 'businesses', businessId, name);
+  const docRef = (name, id) => doc(db, 'businesses', businessId, name, id);
+  
+  return {
+    newId: (name) => doc(collectionRef(name)).id,
+    list: async (name) => (await getDocs(collectionRef(name))).docs.map(withId),
+    add: async (name, data) => (await addDoc(collectionRef(name), data)).id,
+    put: (name, id, data) => setDoc(docRef(name, id), data),
+    update: (name, id, data) => updateDoc(docRef(name, id), data),
+    remove: (name, id) => deleteDoc(docRef(name, id)),
+    
+    // All or nothing; Firestore allows at most 500 writes per batch
+    commit: (ops) => {
+      const batch = writeBatch(db);
+      ops.forEach(op => write(batch, docRef(op.collection, op.id), op));
+      return batch.commit();
+    },
+    
+    // Like commit, but checked against the server in a transaction, so 'create' never overwrites
+    // a document a stale local cache didn't know about. Resolves to the number of documents created.
+    transact: (ops) => runTransaction(db, async (tx) => {
+      const creates = ops.filter(op => op.type === 'create');
+      const snaps = await Promise.all(creates.map(op => tx.get(docRef(op.collection, op.id))));
+      const taken = new Set(creates.filter((op, i) => snaps[i].exists()).map(op => op.id));
+      ops.forEach(op => {
+        const ref = docRef(op.collection, op.id);
+        if (op.type === 'create') {
+          if (!taken.has(op.id)) tx.set(ref, op.data);
+        } else write(tx, ref, op);
+      });
+      return creates.length - taken.size;
+    }),
+    
+    // Reads one document on the server and commits the ops build(data) returns for it, all in a
+    // transaction that is retried if the document changes first. data is null if it doesn't exist.
+    commitWith: (name, id, build) => runTransaction(db, async (tx) => {
+      const snap = await tx.get(docRef(name, id));
+      build(snap.exists() ? snap.data() : null).forEach(op => write(tx, docRef(op.collection, op.id), op));
+    }),
+    
+    // onChange gets every document now and again after each change; returns an unsubscribe function
+    listen: (name, onChange, onError) => onSnapshot(collectionRef(name), snapshot => onChange(snapshot.docs.map(withId)), onError)
+  };
+}
+
+// Same interface kept in memory, seeded with { collectionName: [{ id, ...data }] }
+export function createMemoryRepository(initial = {}) {
+  const tables = {};
+  const listeners = {};
+  let lastId = 0;
+  
+  const table = (name) => (tables[name] = tables[name] || new Map());
+  const snapshot = (name) => [...table(name)].map(([id, data]) => ({ id, ...structuredClone(data) }));
+  const notify = (names) => new Set(names).forEach(name => {
+    (listeners[name] || new Set()).forEach(listener => listener(snapshot(name)));
+  });
+  
+  Object.entries(initial).forEach(([name, docs]) => {
+    docs.forEach(({ id, ...data }) => table(name).set(id, structuredClone(data)));
+  });
+  
+  const commit = async (ops) => {
+    // Like Firestore, updating a missing document fails the whole batch
+    const missing = ops.find(op => op.type === 'update' && !table(op.collection).has(op.id));
+    if (missing) throw new Error(`No document to update: ${missing.collection}/${missing.id}`);
+    
+    ops.forEach(op => {
+      const docs = table(op.collection);
+      if (op.type === 'set') docs.set(op.id, structuredClone(op.data));
+      else if (op.type === 'update') docs.set(op.id, { ...docs.get(op.id), ...structuredClone(op.data) });
+      else docs.delete(op.id);
+    });
+    notify(ops.map(op => op.collection));
+  };
+  
+  const newId = () => `mem-${++lastId}`;
+  
+  return {
+    newId,
+    list: async (name) => snapshot(name),
+    add: async (name, data) => {
+      const id = newId();
+      await commit([{ type: 'set', collection: name, id, data }]);
+      return id;
+    },
+    put: (name, id, data) => commit([{ type: 'set', collection: name, id, data }]),
+    update: (name, id, data) => commit([{ type: 'update', collection: name, id, data }]),
+    remove: (name, id) => commit([{ type: 'delete', collection: name, id }]),
+    commit,
+    transact: async (ops) => {
+      const fresh = ops.filter(op => op.type !== 'create' || !table(op.collection).has(op.id));
+      await commit(fresh.map(op => op.type === 'create' ? { ...op, type: 'set' } : op));
+      return fresh.filter(op => op.type === 'create').length;
+    },
+    commitWith: async (name, id, build) => {
+      const docs = table(name);
+      await commit(build(docs.has(id) ? structuredClone(docs.get(id)) : null));
+    },
+    listen: (name, onChange) => {
+      listeners[name] = listeners[name] || new Set();
+      listeners[name].add(onChange);
+      onChange(snapshot(name));
+      return () => listeners[name].delete(onChange);
+    }
+  };
+}
@@ -1,39 +1,143 @@
 // Firebase imports
-import { db } from './firebase-config.js';
+import { db, auth } from './firebase-config.js';
+import { getQueued, putQueued, removeQueued } from './outbox.js';
+import { getLocalBackups, saveLocalBackup } from './backups.js';
+import { uploadItemPhoto, photoURL, downloadPhoto, restorePhoto } from './photos.js';
+import {
+  periodRange,
+  todayIn,
+  addDays,
+  recurringDates,
+  recurringPurchaseId,
+  round2,
+  sumAmounts,
+  amountInWords,
+  UNITS,
+  DEFAULT_UNIT,
+  compatibleUnits,
+  convertQty,
+  roundQty,
+  qtyDecimals,
+  formatQty,
+  lineAmount,
+  lineGross,
+  parseDiscount,
+  isReturnOrCredit,
+  returnLine,
+  returnedQty,
+  previousRange,
+  percentChange,
+  linesInRange,
+  spendSeries,
+  spendBreakdown,
+  qtySeries,
+  productOffers,
+  cheaperElsewhere,
+  potentialSavings,
+  budgetStatus,
+  budgetWarnings,
+  budgetHistory,
+  unusualQuantities,
+  priceOn,
+  nextPriceHistory,
+  purchaseTotal,
+  sumPurchases,
+  inRange,
+  totalsBy,
+  weekKey,
+  monthKey,
+  periodTotals,
+  buildBill,
+  financialYear,
+  formatBillNumber,
+  parseBillNumber,
+  lastBillSeq,
+  sellerBalances,
+  billDue
+} from './domain.js';
+import { createFirestoreRepository } from './repository.js';
+import { lineChart, barChart } from './charts.js';
 import { 
   collection, 
   doc, 
+  getDoc,
   getDocs, 
   addDoc, 
+  setDoc,
   updateDoc, 
-  deleteDoc,
-  onSnapshot 
+  deleteDoc
 } from 'firebase/firestore';
+import {
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signOut
+} from 'firebase/auth';
 
-// Collections
+// Collections (scoped under businesses/{businessId}).
+// Restore and migration write them in this order: bills must exist before their billed purchases.
 const COLLECTIONS = {
   SELLERS: 'sellers',
+  BILLS: 'bills',
   PURCHASES: 'purchases',
-  BILLS: 'bills'
+  PAYMENTS: 'payments',
+  TEMPLATES: 'templates',  // saved carts: { sellerId, name, items: [{ itemId, qty }] }
+  RECURRING: 'recurring',  // recurring purchase rules, see materialiseRecurring
+  PRODUCTS: 'products',    // shared product master: { name, unit }; seller items link to it by productId
+  BUDGETS: 'budgets'       // spending limits: { scope: 'seller' | 'category', target, period: 'week' | 'month', amount }
 };
 
-// Utility functions
-const todayISO = () => new Date().toISOString().slice(0,10);
-const parseRs = (n) => Math.round(Number(n || 0));
-const formatRs = (n) => `₹${parseRs(n).toLocaleString('en-IN')}`;
-const weekStart = (d) => {
-  const nd = new Date(d);
-  const day = nd.getDay();
-  const diff = (day === 0 ? -6 : 1) - day;
-  nd.setDate(nd.getDate() + diff);
-  return nd.toISOString().slice(0,10);
-};
-const weekEnd = (d) => {
-  const ws = new Date(weekStart(d));
-  ws.setDate(ws.getDate() + 6);
-  return ws.toISOString().slice(0,10);
+// Invoice counters, counters/{financial year} -> { last }. Not part of backups or resets,
+// so a number is never handed out twice
+const BILL_COUNTERS = 'counters';
+
+const PAYMENT_MODES = {
+  cash: 'Cash',
+  upi: 'UPI',
+  bank: 'Bank transfer',
+  cheque: 'Cheque'
+};
+
+// Top-level account collections
+const ACCOUNTS = {
+  USERS: 'users',          // users/{uid} -> { businessId }
+  BUSINESSES: 'businesses', // businesses/{businessId}, with members/{uid} -> { role, email }
+  INVITES: 'invites'       // invites/{email} -> { businessId, role }
 };
 
+// Backup file format; bump the version when the layout changes
+const BACKUP_FORMAT = 'purchase-tracker-backup';
+const BACKUP_VERSION = 2; // 2: downloaded backups carry photo bytes in `photos`
+
+const ROLES = {
+  OWNER: 'owner',
+  CLERK: 'clerk'
+};
+
+// Utility functions
+// Calendar dates follow the business's timezone and week start (Business Settings)
+const businessTimeZone = () => businessSettings.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const weekStartsOn = () => Number(businessSettings.weekStartsOn ?? 1);
+const todayISO = () => todayIn(businessTimeZone());
+const formatRs = (n) => `${n < 0 ? '-' : ''}₹${Math.abs(round2(n)).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+const unitLabel = (unit) => UNITS[unit || DEFAULT_UNIT].label;
+const lineText = (line) => `${line.name} × ${formatQty(line.qty, line.qtyUnit || line.unit)}`;
+
+// Exact amounts (to the paisa) for tax figures
+const formatAmount = (n) => `${n < 0 ? '-' : ''}₹${Math.abs(Number(n || 0)).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// "10%" or "₹50" for a line or bill discount
+const formatDiscount = (discount) => discount ? (discount.type === 'percent' ? `${discount.value}%` : formatRs(discount.value)) : '';
+
+// Ledger label of a purchase, return or credit note
+const ENTRY_TYPES = { purchase: 'Purchase', return: 'Return', credit: 'Credit note' };
+const entryText = (p) => p.type === 'credit'
+  ? `Credit note${p.reason ? ': ' + p.reason : ''}`
+  : `${p.type === 'return' ? 'Returned ' : ''}${(p.items || []).map(lineText).join(', ')}${p.reason ? ' — ' + p.reason : ''}`;
+
+const GST_RATES = [0, 5, 12, 18, 28];
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
 // Format file size helper
 function formatFileSize(bytes) {
   if (bytes === 0) return '0 Bytes';
@@ -43,11 +147,74 @@ function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-// Firebase functions
-const getData = async (collectionName) => {
+// Client-side store, kept up to date by Firestore snapshot listeners
+const store = {
+  data: {},        // collection name -> array of documents
+  synced: {},      // collection name -> true once the first snapshot has arrived
+  subscribers: {}  // collection name -> Set of render functions
+};
+const pendingRenders = new Set();
+let renderScheduled = false;
+
+// Register a render function to run whenever any of the given collections change
+function subscribe(collectionNames, render) {
+  collectionNames.forEach(name => {
+    store.subscribers[name] = store.subscribers[name] || new Set();
+    store.subscribers[name].add(render);
+  });
+}
+
+// Coalesce bursts of snapshots into a single pass over the affected renderers
+function notifySubscribers(collectionName) {
+  (store.subscribers[collectionName] || []).forEach(render => pendingRenders.add(render));
+  if (renderScheduled) return;
+  renderScheduled = true;
+  setTimeout(async () => {
+    const renders = [...pendingRenders];
+    pendingRenders.clear();
+    renderScheduled = false;
+    for (const render of renders) {
+      try {
+        await render();
+      } catch (error) {
+        console.error('Error rendering after sync:', error);
+      }
+    }
+  }, 0);
+}
+
+// Attach a snapshot listener per collection; resolves once each has delivered its first snapshot
+function startSync() {
+  return Promise.all(Object.values(COLLECTIONS).map(name => new Promise(resolve => {
+    repo.listen(name, docs => {
+      store.data[name] = docs;
+      const firstSnapshot = !store.synced[name];
+      store.synced[name] = true;
+      if (firstSnapshot) resolve();
+      else notifySubscribers(name);
+    }, error => {
+      console.error(`Error syncing ${name}:`, error);
+      store.synced[name] = false;
+      resolve();
+    });
+  })));
+}
+
+// Business data goes through a repository (see repository.js), set up for the signed-in user's business
+let repo = null;
+
+// Data functions
+// Soft-deleted documents (in the Trash) are left out unless includeDeleted is set
+const getData = async (collectionName, { includeDeleted = false } = {}) => {
+  const visible = (docs) => includeDeleted ? docs : docs.filter(d => !d.deletedAt);
+  
+  // Served from the synced store; only falls back to a read if the listener is unavailable
+  if (store.synced[collectionName]) {
+    return visible(store.data[collectionName].map(d => ({ ...d })));
+  }
+  
   try {
-    const querySnapshot = await getDocs(collection(db, collectionName));
-    return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    return visible(await repo.list(collectionName));
   } catch (error) {
     console.error('Error getting ', error);
     return [];
@@ -57,9 +224,9 @@ const getData = async (collectionName) => {
 const setData = async (collectionName, data) => {
   try {
     const cleanData = sanitizeForFirestore(data);
-    const docRef = await addDoc(collection(db, collectionName), cleanData);
-    console.log('Document written with ID: ', docRef.id);
-    return docRef.id;
+    const id = await repo.add(collectionName, cleanData);
+    console.log('Document written with ID: ', id);
+    return id;
   } catch (error) {
     console.error('Error adding ', error);
     throw error;
@@ -69,7 +236,7 @@ const setData = async (collectionName, data) => {
 const updateData = async (collectionName, docId, data) => {
   try {
     const cleanData = sanitizeForFirestore(data);
-    await updateDoc(doc(db, collectionName, docId), cleanData);
+    await repo.update(collectionName, docId, cleanData);
     console.log('Document updated with ID: ', docId);
   } catch (error) {
     console.error('Error updating ', error);
@@ -77,9 +244,19 @@ const updateData = async (collectionName, docId, data) => {
   }
 };
 
+// Write a document under a known ID (used by restore)
+const putData = async (collectionName, docId, data) => {
+  try {
+    await repo.put(collectionName, docId, sanitizeForFirestore(data));
+  } catch (error) {
+    console.error('Error writing ', error);
+    throw error;
+  }
+};
+
 const deleteData = async (collectionName, docId) => {
   try {
-    await deleteDoc(doc(db, collectionName, docId));
+    await repo.remove(collectionName, docId);
     console.log('Document deleted with ID: ', docId);
   } catch (error) {
     console.error('Error deleting ', error);
@@ -87,6 +264,53 @@ const deleteData = async (collectionName, docId) => {
   }
 };
 
+// Firestore rejects batches with more than 500 writes
+const BATCH_LIMIT = 500;
+// A bill is saved in one batch with its invoice counter and all its purchases
+// (see firestore.rules, billedByNewBill)
+const MAX_BILL_ENTRIES = BATCH_LIMIT - 2;
+// Most items a seller can have (firestore.rules, itemsValid). Purchases, templates and
+// recurring rules only list a seller's items, so they stay within it too
+const MAX_ITEMS = 50;
+
+const sanitizeOps = (ops) => ops.map(op => op.data ? { ...op, data: sanitizeForFirestore(op.data) } : op);
+
+// Writes that must land together or not at all: [{ type: 'set' | 'update' | 'delete', collection, id, data }].
+// One batch, so more than BATCH_LIMIT writes are refused before anything is written.
+const commitAtomic = async (ops) => {
+  if (ops.length > BATCH_LIMIT) {
+    throw new Error(`This needs ${ops.length} writes but at most ${BATCH_LIMIT} can be saved together. Nothing was changed.`);
+  }
+  await repo.commit(sanitizeOps(ops));
+};
+
+// Jobs too large for one batch, committed BATCH_LIMIT writes at a time. They are NOT all or nothing,
+// so only resetApp uses this, and it tells the user so: running it again finishes the job.
+// The error names how many writes were applied.
+const commitInBatches = async (ops, label = 'Saving') => {
+  const chunks = [];
+  for (let i = 0; i < ops.length; i += BATCH_LIMIT) chunks.push(ops.slice(i, i + BATCH_LIMIT));
+  
+  let done = 0;
+  try {
+    for (const chunk of chunks) {
+      if (chunks.length > 1) showProgress(`${label}... ${done}/${ops.length}`);
+      await repo.commit(sanitizeOps(chunk));
+      done += chunk.length;
+    }
+    console.log(`${label}: committed ${done} writes`);
+  } catch (error) {
+    console.error('Error committing batch:', error);
+    if (done > 0) error.message += ` (${done} of ${ops.length} writes were applied)`;
+    throw error;
+  } finally {
+    if (chunks.length > 1) hideProgress();
+  }
+};
+
+// Id for a document that is created as part of a batch
+const newDocId = (collectionName) => repo.newId(collectionName);
+
 // Sanitize data for Firestore
 function sanitizeForFirestore(obj) {
   if (obj === null || obj === undefined) return null;
@@ -111,70 +335,85 @@ function sanitizeForFirestore(obj) {
   return obj;
 }
 
-// Auto-resizing photo processing
-function fileToDataURL(file) {
-  return new Promise((resolve, reject) => {
-    if (!file) {
-      resolve('');
-      return;
+// Item photos
+const NO_IMAGE = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjQiIGhlaWdodD0iNjQiIHZpZXdCb3g9IjAgMCA2NCA2NCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjY0IiBoZWlnaHQ9IjY0IiBmaWxsPSIjMGIxMjIwIi8+Cjx0ZXh0IHg9IjMyIiB5PSIzNiIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iIzk0YTNiOCIgZm9udC1zaXplPSIxMCI+Tm8gSW1hZ2U8L3RleHQ+Cjwvc3ZnPgo=';
+
+// Thumbnail <img>; Storage photos are filled in by loadItemPhotos once rendered.
+// Items may still carry a legacy inline or imported URL in `photo`.
+function itemPhotoHtml(it, className = '') {
+  const src = !it.thumbPath && it.photo ? it.photo : NO_IMAGE;
+  const pathAttr = it.thumbPath ? `data-photo-path="${it.thumbPath}"` : '';
+  const full = it.photoPath || it.photo;
+  const viewer = full ? `onclick="viewPhoto('${it.photoPath || ''}', '${it.name.replace(/'/g, "\\'")}', this)" style="cursor:zoom-in"` : '';
+  return `<img class="${className}" src="${src}" ${pathAttr} ${viewer} alt="${it.name}" loading="lazy"/>`;
+}
+
+async function loadItemPhotos(container) {
+  for (const img of container.querySelectorAll('img[data-photo-path]')) {
+    try {
+      img.src = await photoURL(img.dataset.photoPath);
+    } catch (error) {
+      console.error('Error loading photo:', error);
     }
+  }
+}
+
+window.viewPhoto = async (path, name, thumb) => {
+  const img = document.getElementById('photoViewerImg');
+  document.getElementById('photoViewerTitle').textContent = name;
+  // Show the thumbnail straight away and swap in the full-size image once it loads
+  img.src = thumb.src;
+  document.getElementById('photoModal').classList.remove('hidden');
+  if (!path) return;
+  try {
+    img.src = await photoURL(path);
+  } catch (error) {
+    console.error('Error loading photo:', error);
+  }
+};
+
+// Move base64 photos stored inside seller documents to Storage
+async function migratePhotosToStorage() {
+  const sellers = await getData(COLLECTIONS.SELLERS, { includeDeleted: true });
+  let migrated = 0;
+  
+  for (const seller of sellers) {
+    const inline = (seller.items || []).filter(it => (it.photo || '').startsWith('data:'));
+    if (inline.length === 0) continue;
     
-    // Create canvas for resizing
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-    
-    img.onload = () => {
-      // Calculate new dimensions (max width/height: 400px)
-      const maxSize = 400;
-      let { width, height } = img;
-      
-      if (width > height) {
-        if (width > maxSize) {
-          height = (height * maxSize) / width;
-          width = maxSize;
-        }
-      } else {
-        if (height > maxSize) {
-          width = (width * maxSize) / height;
-          height = maxSize;
-        }
-      }
-      
-      // Resize image
-      canvas.width = width;
-      canvas.height = height;
-      ctx.drawImage(img, 0, 0, width, height);
-      
-      // Convert to base64 with quality compression
-      const resizedDataURL = canvas.toDataURL('image/jpeg', 0.7); // 70% quality
-      
-      console.log('Photo processed:', file.name, 'Original:', formatFileSize(file.size), 'Compressed:', formatFileSize(resizedDataURL.length));
-      resolve(resizedDataURL);
-    };
-    
-    img.onerror = (error) => {
-      console.error('Image load error:', error);
-      reject(new Error('Failed to process image. Please try a different photo.'));
-    };
+    // Storage paths by the inline photo they replace
+    const uploaded = new Map();
+    for (const it of inline) {
+      if (uploaded.has(it.photo)) continue;
+      const blob = await (await fetch(it.photo)).blob();
+      uploaded.set(it.photo, await uploadItemPhoto(businessId, it.itemId || crypto.randomUUID(), blob));
+    }
     
-    // Load image
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      img.src = e.target.result;
-    };
-    reader.onerror = (error) => {
-      console.error('File read error:', error);
-      reject(new Error('Failed to read image file.'));
-    };
-    reader.readAsDataURL(file);
-  });
+    // The seller is read again on the server and only items still holding the same inline photo
+    // change, so an edit made on another device meanwhile is kept
+    let moved = 0;
+    await repo.commitWith(COLLECTIONS.SELLERS, seller.id, (latest) => {
+      moved = (latest?.items || []).filter(it => uploaded.has(it.photo)).length;
+      if (moved === 0) return [];
+      const items = latest.items.map(it => uploaded.has(it.photo) ? { ...it, ...uploaded.get(it.photo), photo: '' } : it);
+      return sanitizeOps([{ type: 'update', collection: COLLECTIONS.SELLERS, id: seller.id, data: { items } }]);
+    });
+    migrated += moved;
+  }
+  
+  if (migrated) console.log(`Moved ${migrated} photos to Storage`);
+  return migrated;
 }
 
 // State
+let currentUser = null;
+let businessId = null;
+let currentRole = null;
+let businessSettings = {}; // Business profile: name, GSTIN, state code, address
 let selectedSellerId = null;
 let pendingCart = {};
-let lastGeneratedBillIds = [];
+let cartUnits = {}; // Unit each cart qty is entered in, when not the item's own unit
+let currentBill = null; // Bill shown in the bill modal (draft or saved)
 
 // Force refresh all data
 async function forceRefreshAllData() {
@@ -184,6 +423,7 @@ async function forceRefreshAllData() {
     // Clear any cached state
     selectedSellerId = null;
     pendingCart = {};
+    cartUnits = {};
     
     // Clear UI elements
     document.getElementById('chatHeader').textContent = 'Select a seller';
@@ -204,663 +444,3639 @@ async function forceRefreshAllData() {
 }
 
 // Initialize
-document.addEventListener('DOMContentLoaded', async () => {
-  const purchaseDateEl = document.getElementById('purchaseDate');
-  purchaseDateEl.value = todayISO();
-  
+document.addEventListener('DOMContentLoaded', () => {
   setupEventListeners();
+  setupAuthListeners();
+  
+  onAuthStateChanged(auth, async (user) => {
+    if (!user) {
+      // Signed out (possibly from another tab): drop all in-memory data
+      if (currentUser) location.reload();
+      else showAuthScreen();
+      return;
+    }
+    if (currentUser) return;
+    
+    try {
+      await startApp(user);
+    } catch (error) {
+      console.error('Error starting app:', error);
+      alert('Could not load your business: ' + error.message);
+      await signOut(auth);
+    }
+  });
+});
+
+async function startApp(user) {
+  const membership = await loadMembership(user);
+  currentUser = user;
+  businessId = membership.businessId;
+  currentRole = membership.role;
+  repo = createFirestoreRepository(db, businessId);
+  
+  const businessSnap = await getDoc(doc(db, ACCOUNTS.BUSINESSES, businessId));
+  businessSettings = businessSnap.exists() ? businessSnap.data() : {};
+  document.getElementById('purchaseDate').value = todayISO();
+  
+  document.body.dataset.role = currentRole;
+  document.getElementById('userInfo').textContent = `${user.email} (${currentRole})`;
+  hideAuthScreen();
+  
   await seedExampleData();
+  await startSync();
+  await updateSyncStatus();
+  
+  subscribe([COLLECTIONS.SELLERS], renderSellers);
+  subscribe([COLLECTIONS.SELLERS], renderPurchaseTab);
+  subscribe([COLLECTIONS.PURCHASES, COLLECTIONS.BILLS, COLLECTIONS.PAYMENTS], renderBillsTab);
+  subscribe([COLLECTIONS.PURCHASES, COLLECTIONS.SELLERS, COLLECTIONS.BILLS, COLLECTIONS.PAYMENTS, COLLECTIONS.PRODUCTS, COLLECTIONS.BUDGETS], renderAnalytics);
+  subscribe([COLLECTIONS.PURCHASES, COLLECTIONS.BUDGETS, COLLECTIONS.SELLERS], updateHeaderStats);
+  subscribe([COLLECTIONS.PURCHASES, COLLECTIONS.SELLERS, COLLECTIONS.BILLS], renderLedger);
+  subscribe([COLLECTIONS.PURCHASES, COLLECTIONS.SELLERS], renderTrash);
+  subscribe([COLLECTIONS.TEMPLATES, COLLECTIONS.PURCHASES], renderTemplateBar);
+  subscribe([COLLECTIONS.RECURRING, COLLECTIONS.SELLERS], renderRecurring);
+  subscribe([COLLECTIONS.PRODUCTS, COLLECTIONS.SELLERS], renderProducts);
+  
   await renderSellers();
   await renderPurchaseTab();
   await renderBillsTab();
   await renderAnalytics();
   await updateHeaderStats();
-});
-
-// Event Listeners Setup
-function setupEventListeners() {
-  // Tab navigation
-  document.querySelectorAll('.tab-btn').forEach(btn => {
-    btn.addEventListener('click', async () => {
-      document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-      document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-      btn.classList.add('active');
-      document.getElementById(btn.dataset.tab).classList.add('active');
-      
-      if (btn.dataset.tab === 'purchase') await renderPurchaseTab();
-      if (btn.dataset.tab === 'sellers') await renderSellers();
-      if (btn.dataset.tab === 'bills') await renderBillsTab();
-      if (btn.dataset.tab === 'analytics') await renderAnalytics();
-    });
-  });
-
-  // Add seller button
-  document.getElementById('addSellerBtn').addEventListener('click', () => openSellerModal());
-
-  // Modal close buttons
-  document.querySelectorAll('[data-close]').forEach(btn => {
-    btn.addEventListener('click', () => closeModal(btn.dataset.close));
-  });
-
-  // Seller form
-  document.getElementById('sellerForm').addEventListener('submit', handleSellerSubmit);
-
-  // Add item row
-  document.getElementById('addItemRow').addEventListener('click', () => addItemRow());
-
-  // Bill period change
-  document.getElementById('billPeriod').addEventListener('change', (e) => {
-    const custom = e.target.value === 'custom';
-    document.getElementById('fromDate').classList.toggle('hidden', !custom);
-    document.getElementById('toDate').classList.toggle('hidden', !custom);
-  });
+  await renderRecurring();
+  await renderProducts();
+  
+  // Push anything recorded while offline or before the last reload
+  flushOutbox();
+  
+  materialiseRecurring().catch(error => console.error('Error adding recurring purchases:', error));
+  
+  // Older sellers kept photos inline; move them out in the background
+  if (currentRole === ROLES.OWNER) {
+    migratePhotosToStorage().catch(error => console.error('Error migrating photos:', error));
+  }
+  
+  // Clerks only record purchases
+  if (currentRole !== ROLES.OWNER) {
+    document.querySelector('.tab-btn[data-tab="purchase"]').click();
+  }
+}
 
-  // Generate bill
-  document.getElementById('generateBillBtn').addEventListener('click', generateBill);
+// Authentication
+function showAuthScreen() {
+  document.getElementById('authScreen').classList.remove('hidden');
+}
 
-  // Bill actions
-  document.getElementById('downloadPdfBtn').addEventListener('click', downloadBill);
-  document.getElementById('markBilledBtn').addEventListener('click', markAsBilled);
+function hideAuthScreen() {
+  document.getElementById('authScreen').classList.add('hidden');
+  document.getElementById('authForm').reset();
+  document.getElementById('authError').textContent = '';
 }
 
-// Seller Modal Functions
-function openSellerModal(seller = null) {
-  const modal = document.getElementById('sellerModal');
-  modal.classList.remove('hidden');
+function setupAuthListeners() {
+  const form = document.getElementById('authForm');
+  let creatingAccount = false;
   
-  const form = document.getElementById('sellerForm');
+  document.getElementById('authToggle').addEventListener('click', () => {
+    creatingAccount = !creatingAccount;
+    document.getElementById('authTitle').textContent = creatingAccount ? 'Create account' : 'Sign in';
+    document.getElementById('authSubmit').textContent = creatingAccount ? 'Create account' : 'Sign in';
+    document.getElementById('authToggle').textContent = creatingAccount ? 'I already have an account' : 'Create an account';
+    document.getElementById('businessNameGroup').classList.toggle('hidden', !creatingAccount);
+  });
   
-  if (seller && seller.id) {
-    // EDITING EXISTING SELLER
-    console.log('Opening edit modal for seller:', seller.id, seller.name);
-    form.dataset.editId = seller.id;
-    document.getElementById('sellerName').value = seller.name || '';
-    document.getElementById('sellerContact').value = seller.contact || '';
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const email = document.getElementById('authEmail').value.trim();
+    const password = document.getElementById('authPassword').value;
+    const errorEl = document.getElementById('authError');
+    const submitBtn = document.getElementById('authSubmit');
     
-    // Clear and populate items
-    const itemsList = document.getElementById('itemsList');
-    itemsList.innerHTML = '';
+    errorEl.textContent = '';
+    submitBtn.disabled = true;
     
-    if (seller.items && seller.items.length > 0) {
-      seller.items.forEach(item => addItemRow(item));
-    } else {
-      addItemRow(); // Add one empty row if no items
+    try {
+      if (creatingAccount) {
+        pendingBusinessName = document.getElementById('businessName').value.trim();
+        await createUserWithEmailAndPassword(auth, email, password);
+      } else {
+        await signInWithEmailAndPassword(auth, email, password);
+      }
+    } catch (error) {
+      console.error('Authentication error:', error);
+      errorEl.textContent = error.message;
+    } finally {
+      submitBtn.disabled = false;
     }
-  } else {
-    // CREATING NEW SELLER
-    console.log('Opening new seller modal');
-    form.dataset.editId = '';
-    document.getElementById('sellerName').value = '';
-    document.getElementById('sellerContact').value = '';
-    
-    // Clear and add one empty row
-    const itemsList = document.getElementById('itemsList');
-    itemsList.innerHTML = '';
-    addItemRow();
-  }
+  });
+  
+  document.getElementById('signOutBtn').addEventListener('click', async () => {
+    await signOut(auth);
+  });
+  
+  document.getElementById('teamBtn').addEventListener('click', openTeamModal);
+  document.getElementById('settingsBtn').addEventListener('click', openSettingsModal);
+  document.getElementById('backupBtn').addEventListener('click', openBackupModal);
+  document.getElementById('downloadBackupBtn').addEventListener('click', downloadBackup);
+  document.getElementById('restoreFile').addEventListener('change', previewRestoreFile);
+  document.querySelectorAll('input[name="restoreMode"]').forEach(input => {
+    input.addEventListener('change', () => pendingRestore && renderRestorePreview());
+  });
+  document.getElementById('applyRestoreBtn').addEventListener('click', applyRestore);
+  document.getElementById('settingsForm').addEventListener('submit', handleSettingsSubmit);
+  document.getElementById('syncStatusBtn').addEventListener('click', openSyncModal);
+  
+  window.addEventListener('online', () => flushOutbox());
+  window.addEventListener('offline', () => updateSyncStatus());
+  document.getElementById('inviteForm').addEventListener('submit', handleInviteSubmit);
 }
 
-function closeModal(id) {
-  document.getElementById(id).classList.add('hidden');
-}
+// Business name typed on the sign-up form, used when the new account creates its business
+let pendingBusinessName = '';
 
-function addItemRow(existing = null) {
-  const row = document.createElement('div');
-  row.className = 'item-edit-row';
+// Resolve the user's business and role: existing profile, pending invite, or a new business they own
+async function loadMembership(user) {
+  const profileSnap = await getDoc(doc(db, ACCOUNTS.USERS, user.uid));
   
-  // Store existing photo data as a data attribute
-  if (existing?.photo) {
-    row.dataset.existingPhoto = existing.photo;
+  if (profileSnap.exists()) {
+    const { businessId: id } = profileSnap.data();
+    const memberSnap = await getDoc(doc(db, ACCOUNTS.BUSINESSES, id, 'members', user.uid));
+    if (!memberSnap.exists()) {
+      throw new Error('You are no longer a member of this business.');
+    }
+    return { businessId: id, role: memberSnap.data().role };
   }
   
-  row.innerHTML = `
-    <div style="display: flex; flex-direction: column; gap: 4px;">
-      <input type="file" accept="image/*"/>
-      <small class="photo-info" style="color: #94a3b8; font-size: 11px;">${existing?.photo ? 'Has existing photo' : ''}</small>
-    </div>
-    <input type="text" placeholder="Item name" value="${existing?.name || ''}" required/>
-    <input type="number" placeholder="Price (₹)" value="${existing?.price || ''}" min="0"/>
-    <input type="text" placeholder="SKU/Code (optional)" value="${existing?.code || ''}"/>
-    <button type="button" class="btn-secondary">Remove</button>
-  `;
+  const email = (user.email || '').toLowerCase();
+  const inviteSnap = await getDoc(doc(db, ACCOUNTS.INVITES, email));
+  const now = new Date().toISOString();
   
-  // Add file change listener
-  const fileInput = row.querySelector('input[type="file"]');
-  const photoInfo = row.querySelector('.photo-info');
+  if (inviteSnap.exists()) {
+    const invite = inviteSnap.data();
+    await setDoc(doc(db, ACCOUNTS.BUSINESSES, invite.businessId, 'members', user.uid), {
+      role: invite.role,
+      email,
+      joinedAt: now
+    });
+    await setDoc(doc(db, ACCOUNTS.USERS, user.uid), { businessId: invite.businessId, email });
+    await deleteDoc(doc(db, ACCOUNTS.INVITES, email));
+    return { businessId: invite.businessId, role: invite.role };
+  }
   
-  fileInput.addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      photoInfo.textContent = `${file.name} (${formatFileSize(file.size)}) - Will be auto-resized`;
-      photoInfo.style.color = '#22c55e';
-      // Clear existing photo data when new file is selected
-      row.dataset.existingPhoto = '';
-    } else if (existing?.photo) {
-      photoInfo.textContent = 'Has existing photo';
-      photoInfo.style.color = '#94a3b8';
-      // Restore existing photo data
-      row.dataset.existingPhoto = existing.photo;
-    } else {
-      photoInfo.textContent = '';
-      row.dataset.existingPhoto = '';
-    }
+  const businessRef = await addDoc(collection(db, ACCOUNTS.BUSINESSES), {
+    name: pendingBusinessName || `${email}'s business`,
+    ownerUid: user.uid,
+    createdAt: now
   });
+  await setDoc(doc(db, ACCOUNTS.BUSINESSES, businessRef.id, 'members', user.uid), {
+    role: ROLES.OWNER,
+    email,
+    joinedAt: now
+  });
+  await setDoc(doc(db, ACCOUNTS.USERS, user.uid), { businessId: businessRef.id, email });
+  return { businessId: businessRef.id, role: ROLES.OWNER };
+}
+
+// Owner-only guard for destructive or administrative actions
+function requireOwner() {
+  if (currentRole === ROLES.OWNER) return true;
+  alert('Only the business owner can do this.');
+  return false;
+}
+
+// Team management
+async function openTeamModal() {
+  if (!requireOwner()) return;
+  document.getElementById('teamModal').classList.remove('hidden');
+  await renderTeam();
+}
+
+async function renderTeam() {
+  const membersSnap = await getDocs(collection(db, ACCOUNTS.BUSINESSES, businessId, 'members'));
+  const members = membersSnap.docs.map(d => ({ uid: d.id, ...d.data() }));
   
-  row.querySelector('button').addEventListener('click', () => row.remove());
-  document.getElementById('itemsList').appendChild(row);
+  document.getElementById('teamList').innerHTML = members.map(m => `
+    <div class="item-row" style="grid-template-columns: 1fr auto auto;">
+      <div>${m.email}</div>
+      <div class="item-meta">${m.role}</div>
+      <div>${m.uid === currentUser.uid ? '' : `<button class="btn-secondary" onclick="removeMember('${m.uid}')">Remove</button>`}</div>
+    </div>
+  `).join('') || '<div class="item-meta">No members</div>';
 }
 
-async function handleSellerSubmit(e) {
+async function handleInviteSubmit(e) {
   e.preventDefault();
-  const name = document.getElementById('sellerName').value.trim();
-  if (!name) return;
+  if (!requireOwner()) return;
   
-  const contact = document.getElementById('sellerContact').value.trim();
-  const rows = [...document.querySelectorAll('#itemsList .item-edit-row')];
-  const items = [];
+  const email = document.getElementById('inviteEmail').value.trim().toLowerCase();
+  const role = document.getElementById('inviteRole').value;
+  if (!email) return;
   
-  // Show processing message
-  const submitBtn = e.target.querySelector('button[type="submit"]');
-  const originalText = submitBtn.textContent;
-  submitBtn.textContent = 'Processing...';
-  submitBtn.disabled = true;
+  try {
+    await setDoc(doc(db, ACCOUNTS.INVITES, email), {
+      businessId,
+      role,
+      invitedBy: currentUser.uid,
+      createdAt: new Date().toISOString()
+    });
+    e.target.reset();
+    alert(`Invited ${email} as ${role}. They can now create an account with this email.`);
+  } catch (error) {
+    console.error('Error inviting member:', error);
+    alert('Error inviting member: ' + error.message);
+  }
+}
+
+// Business settings
+function openSettingsModal() {
+  if (!requireOwner()) return;
+  document.getElementById('settingsName').value = businessSettings.name || '';
+  document.getElementById('settingsGstin').value = businessSettings.gstin || '';
+  document.getElementById('settingsStateCode').value = businessSettings.stateCode || '';
+  document.getElementById('settingsAddress').value = businessSettings.address || '';
+  const zoneList = document.getElementById('timeZoneList');
+  if (!zoneList.options.length && Intl.supportedValuesOf) {
+    zoneList.innerHTML = Intl.supportedValuesOf('timeZone').map(z => `<option value="${z}">`).join('');
+  }
+  document.getElementById('settingsTimeZone').value = businessTimeZone();
+  document.getElementById('settingsWeekStart').value = String(weekStartsOn());
+  document.getElementById('settingsModal').classList.remove('hidden');
+}
+
+async function handleSettingsSubmit(e) {
+  e.preventDefault();
+  if (!requireOwner()) return;
+  
+  const gstin = document.getElementById('settingsGstin').value.trim().toUpperCase();
+  if (gstin && !GSTIN_PATTERN.test(gstin)) return alert('GSTIN does not look valid (15 characters, e.g. 27ABCDE1234F1Z5)');
+  
+  // Left empty, the device's timezone is used (businessTimeZone)
+  const timeZone = document.getElementById('settingsTimeZone').value.trim();
+  if (timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+      return alert(`Unknown timezone "${timeZone}". Use a name like Asia/Kolkata.`);
+    }
+  }
+  
+  const settings = {
+    name: document.getElementById('settingsName').value.trim(),
+    gstin,
+    // The state code defaults to the first two digits of the GSTIN
+    stateCode: document.getElementById('settingsStateCode').value.trim() || gstin.slice(0, 2),
+    address: document.getElementById('settingsAddress').value.trim(),
+    timeZone,
+    weekStartsOn: Number(document.getElementById('settingsWeekStart').value),
+    updatedAt: new Date().toISOString()
+  };
   
   try {
-    for (const r of rows) {
+    await updateDoc(doc(db, ACCOUNTS.BUSINESSES, businessId), settings);
+    businessSettings = { ...businessSettings, ...settings };
+    closeModal('settingsModal');
+    // Week and month figures depend on the timezone and week start
+    await renderBillsTab();
+    await renderAnalytics();
+    await updateHeaderStats();
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    alert('Error saving settings: ' + error.message);
+  }
+}
+
+// Backup and restore
+async function buildBackup() {
+  const data = {};
+  for (const name of Object.values(COLLECTIONS)) {
+    data[name] = await getData(name, { includeDeleted: true });
+  }
+  
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    businessId,
+    settings: {
+      name: businessSettings.name || '',
+      gstin: businessSettings.gstin || '',
+      stateCode: businessSettings.stateCode || '',
+      address: businessSettings.address || '',
+      timeZone: businessSettings.timeZone || '',
+      weekStartsOn: weekStartsOn()
+    },
+    data
+  };
+}
+
+// Storage paths of every photo the sellers' items point to
+const backupPhotoPaths = (backup) => [...new Set((backup.data[COLLECTIONS.SELLERS] || [])
+  .flatMap(s => (s.items || []).flatMap(it => [it.thumbPath, it.photoPath]))
+  .filter(Boolean))];
+
+// Copy the photo bytes into a backup that leaves the device, so it restores into an
+// empty or different project. Photos that can't be read are skipped and only keep their path
+async function addBackupPhotos(backup) {
+  const photos = { ...backup.photos };
+  for (const path of backupPhotoPaths(backup).filter(path => !photos[path])) {
+    try {
+      photos[path] = await downloadPhoto(path);
+    } catch (error) {
+      console.warn('Photo left out of backup:', path, error);
+    }
+  }
+  return { ...backup, photos };
+}
+
+const backupFileName = (backup) => `Backup-${fileNamePart(backup.settings.name || 'business')}-${backup.exportedAt.slice(0,10)}.json`;
+
+async function downloadBackup() {
+  if (!requireOwner()) return;
+  try {
+    const backup = await addBackupPhotos(await buildBackup());
+    downloadBlob(new Blob([JSON.stringify(backup)], { type: 'application/json' }), backupFileName(backup));
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    alert('Error creating backup: ' + error.message);
+  }
+}
+
+// Keep a copy on this device before anything destructive; returns false if the user backs out.
+// Photos stay in Storage by path here, which the app never deletes, so the copy stays small
+async function autoBackup(reason) {
+  try {
+    const backup = await buildBackup();
+    await saveLocalBackup({
+      id: crypto.randomUUID(),
+      businessId,
+      reason,
+      createdAt: backup.exportedAt,
+      backup
+    });
+    return true;
+  } catch (error) {
+    console.error('Automatic backup failed:', error);
+    return confirm(`Automatic backup failed (${error.message}). Continue without a backup?`);
+  }
+}
+
+// Check that a parsed file is a backup this version of the app can restore
+function validateBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT) throw new Error('This is not a Purchase Tracker backup file.');
+  if (typeof backup.version !== 'number') throw new Error('The backup has no schema version.');
+  if (backup.version > BACKUP_VERSION) throw new Error(`The backup uses schema version ${backup.version}, newer than this app supports (${BACKUP_VERSION}). Update the app first.`);
+  if (!backup.data || typeof backup.data !== 'object') throw new Error('The backup contains no data.');
+  
+  Object.entries(backup.data).forEach(([name, docs]) => {
+    if (!Object.values(COLLECTIONS).includes(name)) throw new Error(`Unknown collection "${name}" in backup.`);
+    if (!Array.isArray(docs) || docs.some(d => !d || typeof d.id !== 'string')) throw new Error(`Collection "${name}" is malformed.`);
+  });
+  if (backup.photos !== undefined && (!backup.photos || typeof backup.photos !== 'object' || Object.values(backup.photos).some(p => typeof p !== 'string'))) {
+    throw new Error('The photos in the backup are malformed.');
+  }
+  return backup;
+}
+
+// Backup waiting to be restored, shown in the restore preview
+let pendingRestore = null;
+
+async function openBackupModal() {
+  if (!requireOwner()) return;
+  pendingRestore = null;
+  document.getElementById('restoreFile').value = '';
+  document.getElementById('restorePreview').innerHTML = '';
+  document.getElementById('applyRestoreBtn').disabled = true;
+  document.getElementById('backupModal').classList.remove('hidden');
+  await renderLocalBackups();
+}
+
+async function renderLocalBackups() {
+  const backups = await getLocalBackups(businessId);
+  document.getElementById('localBackups').innerHTML = backups.map(entry => `
+    <div class="bill-row">
+      <div>
+        <div style="font-weight:700">${new Date(entry.createdAt).toLocaleString()}</div>
+        <div class="item-meta">Before: ${entry.reason}</div>
+      </div>
+      <div class="item-meta">${Object.entries(entry.backup.data).map(([name, docs]) => `${docs.length} ${name}`).join(', ')}</div>
+      <div style="display:flex; gap:6px;">
+        <button class="btn-secondary" onclick="downloadLocalBackup('${entry.id}')">Download</button>
+        <button class="btn-secondary" onclick="previewLocalBackup('${entry.id}')">Restore</button>
+      </div>
+    </div>
+  `).join('') || '<div class="item-meta">No automatic backups on this device yet.</div>';
+}
+
+window.downloadLocalBackup = async (id) => {
+  const entry = (await getLocalBackups(businessId)).find(b => b.id === id);
+  if (!entry) return;
+  try {
+    const backup = await addBackupPhotos(entry.backup);
+    downloadBlob(new Blob([JSON.stringify(backup)], { type: 'application/json' }), backupFileName(backup));
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    alert('Error creating backup: ' + error.message);
+  }
+};
+
+window.previewLocalBackup = async (id) => {
+  const entry = (await getLocalBackups(businessId)).find(b => b.id === id);
+  if (!entry) return;
+  pendingRestore = validateBackup(entry.backup);
+  await renderRestorePreview();
+};
+
+async function previewRestoreFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  try {
+    pendingRestore = validateBackup(JSON.parse(await file.text()));
+    await renderRestorePreview();
+  } catch (error) {
+    console.error('Invalid backup file:', error);
+    pendingRestore = null;
+    document.getElementById('restorePreview').innerHTML = `<div class="auth-error">${error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message}</div>`;
+    document.getElementById('applyRestoreBtn').disabled = true;
+  }
+}
+
+// What restoring would change, per collection
+async function restoreDiff(backup, mode) {
+  const diff = {};
+  for (const name of Object.values(COLLECTIONS)) {
+    const current = await getData(name, { includeDeleted: true });
+    const incoming = backup.data[name] || [];
+    const currentIds = new Set(current.map(d => d.id));
+    const incomingIds = new Set(incoming.map(d => d.id));
+    diff[name] = {
+      added: incoming.filter(d => !currentIds.has(d.id)).length,
+      // Merge leaves documents that already exist alone; replace overwrites them
+      existing: incoming.filter(d => currentIds.has(d.id)).length,
+      removed: mode === 'replace' ? current.filter(d => !incomingIds.has(d.id)).length : 0
+    };
+  }
+  return diff;
+}
+
+async function renderRestorePreview() {
+  const mode = document.querySelector('input[name="restoreMode"]:checked').value;
+  const diff = await restoreDiff(pendingRestore, mode);
+  
+  document.getElementById('restorePreview').innerHTML = `
+    <div class="item-meta">Backup of <strong>${pendingRestore.settings?.name || 'business'}</strong> from ${new Date(pendingRestore.exportedAt).toLocaleString()} (schema v${pendingRestore.version})</div>
+    ${Object.entries(diff).map(([name, d]) => `
+      <div class="item-meta">${name}: ${d.added} new, ${d.existing} ${mode === 'replace' ? 'overwritten' : 'already present (kept as is)'}${mode === 'replace' ? `, ${d.removed} deleted` : ''}</div>
+    `).join('')}
+    ${pendingRestore.photos ? `<div class="item-meta">photos: ${Object.keys(pendingRestore.photos).length} included, missing ones are uploaded again</div>` : ''}
+  `;
+  document.getElementById('applyRestoreBtn').disabled = false;
+}
+
+async function applyRestore() {
+  if (!requireOwner() || !pendingRestore) return;
+  const mode = document.querySelector('input[name="restoreMode"]:checked').value;
+  
+  if (mode === 'replace' && !confirm('Replace ALL current data with this backup? A backup of the current data is kept on this device first.')) return;
+  if (!(await autoBackup(mode === 'replace' ? 'restore (replace)' : 'restore (merge)'))) return;
+  
+  const btn = document.getElementById('applyRestoreBtn');
+  const originalText = btn.textContent;
+  btn.disabled = true;
+  
+  try {
+    // Photos go back first so restored sellers never point at a missing file. A backup
+    // from another business gets its photos filed under this business's paths
+    const moved = pendingRestore.businessId && pendingRestore.businessId !== businessId;
+    const rebase = (path) => moved ? path.replace(`businesses/${pendingRestore.businessId}/`, `businesses/${businessId}/`) : path;
+    const photos = Object.entries(pendingRestore.photos || {});
+    let photosFailed = 0;
+    for (const [index, [path, base64]] of photos.entries()) {
+      btn.textContent = `Restoring photos ${index + 1}/${photos.length}...`;
+      try {
+        await restorePhoto(rebase(path), base64);
+      } catch (error) {
+        console.error('Error restoring photo:', path, error);
+        photosFailed++;
+      }
+    }
+    
+    // Restored bills keep their numbers, so each year's invoice counter is raised to cover them
+    const lastSeqs = {};
+    (pendingRestore.data[COLLECTIONS.BILLS] || []).forEach(b => {
+      const number = parseBillNumber(b.billNumber);
+      if (number) lastSeqs[number.financialYear] = Math.max(lastSeqs[number.financialYear] || 0, number.seq);
+    });
+    for (const [fy, last] of Object.entries(lastSeqs)) {
+      await repo.commitWith(BILL_COUNTERS, fy, counter => counter && counter.last >= last
+        ? []
+        : [{ type: 'set', collection: BILL_COUNTERS, id: fy, data: { last } }]);
+    }
+    
+    for (const name of Object.values(COLLECTIONS)) {
+      const current = await getData(name, { includeDeleted: true });
+      const currentIds = new Set(current.map(d => d.id));
+      const incoming = (pendingRestore.data[name] || []).map(d => {
+        if (moved && name === COLLECTIONS.SELLERS && d.items) {
+          return { ...d, items: d.items.map(it => ({
+            ...it,
+            ...(it.thumbPath && { thumbPath: rebase(it.thumbPath) }),
+            ...(it.photoPath && { photoPath: rebase(it.photoPath) })
+          })) };
+        }
+        // Bills from before invoice counters get the running number the rules check
+        if (name === COLLECTIONS.BILLS && d.billSeq === undefined && parseBillNumber(d.billNumber)) {
+          return { ...d, billSeq: parseBillNumber(d.billNumber).seq };
+        }
+        return d;
+      });
+      const incomingIds = new Set(incoming.map(d => d.id));
+      
+      if (mode === 'replace') {
+        for (const d of current.filter(d => !incomingIds.has(d.id))) {
+          await deleteData(name, d.id);
+        }
+      }
+      
+      const toWrite = mode === 'replace' ? incoming : incoming.filter(d => !currentIds.has(d.id));
+      for (const [index, d] of toWrite.entries()) {
+        btn.textContent = `Restoring ${name} ${index + 1}/${toWrite.length}...`;
+        await putData(name, d.id, d);
+      }
+    }
+    
+    // Settings come back with a replace, or fill in blanks with a merge
+    const settings = {};
+    Object.entries(pendingRestore.settings || {}).forEach(([key, value]) => {
+      if (mode === 'replace' || !businessSettings[key]) settings[key] = value;
+    });
+    if (Object.keys(settings).length) {
+      await updateDoc(doc(db, ACCOUNTS.BUSINESSES, businessId), settings);
+      businessSettings = { ...businessSettings, ...settings };
+    }
+    
+    pendingRestore = null;
+    closeModal('backupModal');
+    alert(photosFailed ? `Restore complete, but ${photosFailed} photo(s) could not be uploaded.` : 'Restore complete!');
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    alert('Error restoring backup: ' + error.message);
+  } finally {
+    btn.textContent = originalText;
+    btn.disabled = false;
+  }
+}
+
+window.removeMember = async (uid) => {
+  if (!requireOwner()) return;
+  if (uid === currentUser.uid) return;
+  if (!confirm('Remove this member from the business?')) return;
+  
+  try {
+    await deleteDoc(doc(db, ACCOUNTS.BUSINESSES, businessId, 'members', uid));
+    await renderTeam();
+  } catch (error) {
+    console.error('Error removing member:', error);
+    alert('Error removing member: ' + error.message);
+  }
+};
+
+// Event Listeners Setup
+function setupEventListeners() {
+  // Tab navigation
+  document.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+      document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+      btn.classList.add('active');
+      document.getElementById(btn.dataset.tab).classList.add('active');
+      
+      if (btn.dataset.tab === 'purchase') await renderPurchaseTab();
+      if (btn.dataset.tab === 'sellers') await renderSellers();
+      if (btn.dataset.tab === 'bills') await renderBillsTab();
+      if (btn.dataset.tab === 'ledger') await renderLedger();
+      if (btn.dataset.tab === 'trash') await renderTrash();
+      if (btn.dataset.tab === 'analytics') await renderAnalytics();
+    });
+  });
+  
+  // Analytics range and filters
+  ['analyticsFrom', 'analyticsTo', 'analyticsGranularity', 'analyticsTag', 'analyticsCompare', 'analyticsItem'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderAnalytics);
+  });
+
+  // Add seller button
+  document.getElementById('addSellerBtn').addEventListener('click', () => {
+    if (requireOwner()) openSellerModal();
+  });
+
+  // Modal close buttons
+  document.querySelectorAll('[data-close]').forEach(btn => {
+    btn.addEventListener('click', () => closeModal(btn.dataset.close));
+  });
+
+  // Bulk import
+  document.getElementById('importSellersBtn').addEventListener('click', () => {
+    if (requireOwner()) openImportModal();
+  });
+  document.getElementById('importFile').addEventListener('change', previewImport);
+  document.getElementById('importPhotos').addEventListener('change', previewImport);
+  document.getElementById('importPreview').addEventListener('change', (e) => {
+    if (e.target.matches('select[data-import-seller]') && importPlan) {
+      importPlan.sellers[Number(e.target.dataset.importSeller)].action = e.target.value;
+      renderImportPreview(importPlan);
+    }
+  });
+  document.getElementById('applyImportBtn').addEventListener('click', applyImport);
+
+  // Seller form
+  document.getElementById('sellerForm').addEventListener('submit', handleSellerSubmit);
+
+  // Recurring purchases
+  document.getElementById('addRecurringBtn').addEventListener('click', () => openRecurringModal());
+  document.getElementById('recurringForm').addEventListener('submit', handleRecurringSubmit);
+  document.getElementById('recurringSeller').addEventListener('change', () => renderRecurringItems());
+  
+  // Product comparison
+  document.getElementById('compareDate').addEventListener('change', renderProductComparison);
+  
+  // Budgets
+  document.getElementById('addBudgetBtn').addEventListener('click', () => openBudgetModal());
+  document.getElementById('budgetForm').addEventListener('submit', handleBudgetSubmit);
+  document.getElementById('budgetScope').addEventListener('change', () => fillBudgetTargets());
+  document.getElementById('recurringFrequency').addEventListener('change', (e) => {
+    document.getElementById('recurringDaysGroup').classList.toggle('hidden', e.target.value !== 'weekly');
+  });
+
+  // Add item row
+  document.getElementById('addItemRow').addEventListener('click', () => addItemRow());
+
+  // Re-price the cart when the purchase date changes
+  document.getElementById('purchaseDate').addEventListener('change', async () => {
+    if (selectedSellerId) await selectSeller(selectedSellerId, true);
+  });
+
+  // Ledger filters
+  ['ledgerSeller', 'ledgerFrom', 'ledgerTo', 'ledgerStatus'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderLedger);
+  });
+  
+  // Purchase editor
+  document.getElementById('purchaseEditForm').addEventListener('submit', handlePurchaseEditSubmit);
+  document.getElementById('purchaseEditDate').addEventListener('change', repricePurchaseEdit);
+  document.getElementById('deletePurchaseBtn').addEventListener('click', deleteEditedPurchase);
+  document.getElementById('notDeliveredBtn').addEventListener('click', markNotDelivered);
+
+  // Payments
+  document.getElementById('paymentForm').addEventListener('submit', handlePaymentSubmit);
+  document.getElementById('creditNoteForm').addEventListener('submit', handleCreditNoteSubmit);
+  document.getElementById('paymentSeller').addEventListener('change', () => fillPaymentBills());
+
+  // Bill period change
+  document.getElementById('billPeriod').addEventListener('change', (e) => {
+    const custom = e.target.value === 'custom';
+    document.getElementById('fromDate').classList.toggle('hidden', !custom);
+    document.getElementById('toDate').classList.toggle('hidden', !custom);
+  });
+
+  // Generate bill
+  document.getElementById('generateBillBtn').addEventListener('click', generateBill);
+
+  // Exports
+  document.getElementById('exportBtn').addEventListener('click', exportData);
+
+  // Bill actions
+  document.getElementById('downloadPdfBtn').addEventListener('click', downloadBill);
+  document.getElementById('markBilledBtn').addEventListener('click', markAsBilled);
+  document.getElementById('billDiscountBtn').addEventListener('click', applyBillDiscount);
+}
+
+// Seller Modal Functions
+// Comma (or semicolon) separated tags, trimmed, lower-cased and without repeats
+const parseTags = (text) => [...new Set(String(text || '').split(/[,;]/).map(t => t.trim().toLowerCase()).filter(Boolean))];
+
+// Suggest categories already used on other items and the products items can link to
+async function fillItemSuggestions() {
+  const categories = new Set((await getData(COLLECTIONS.SELLERS))
+    .flatMap(s => (s.items || []).map(it => it.category))
+    .filter(Boolean));
+  document.getElementById('itemCategoryList').innerHTML = [...categories].sort()
+    .map(c => `<option value="${c}"></option>`).join('');
+  
+  const products = (await getData(COLLECTIONS.PRODUCTS)).sort((a,b) => a.name.localeCompare(b.name));
+  document.getElementById('productNameList').innerHTML = products
+    .map(p => `<option value="${p.name}"></option>`).join('');
+  document.querySelectorAll('#itemsList .item-edit-row').forEach(row => {
+    const product = products.find(p => p.id === row.dataset.productId);
+    if (product) row.querySelector('.item-product').value = product.name;
+  });
+}
+
+function openSellerModal(seller = null) {
+  const modal = document.getElementById('sellerModal');
+  modal.classList.remove('hidden');
+  
+  const form = document.getElementById('sellerForm');
+  
+  if (seller && seller.id) {
+    // EDITING EXISTING SELLER
+    console.log('Opening edit modal for seller:', seller.id, seller.name);
+    form.dataset.editId = seller.id;
+    document.getElementById('sellerName').value = seller.name || '';
+    document.getElementById('sellerContact').value = seller.contact || '';
+    document.getElementById('sellerGstin').value = seller.gstin || '';
+    document.getElementById('priceEffectiveFrom').value = todayISO();
+    
+    // Clear and populate items
+    const itemsList = document.getElementById('itemsList');
+    itemsList.innerHTML = '';
+    
+    if (seller.items && seller.items.length > 0) {
+      seller.items.forEach(item => addItemRow(item));
+    } else {
+      addItemRow(); // Add one empty row if no items
+    }
+  } else {
+    // CREATING NEW SELLER
+    console.log('Opening new seller modal');
+    form.dataset.editId = '';
+    document.getElementById('sellerName').value = '';
+    document.getElementById('sellerContact').value = '';
+    document.getElementById('sellerGstin').value = '';
+    document.getElementById('priceEffectiveFrom').value = todayISO();
+    
+    // Clear and add one empty row
+    const itemsList = document.getElementById('itemsList');
+    itemsList.innerHTML = '';
+    addItemRow();
+  }
+  
+  fillItemSuggestions();
+}
+
+function closeModal(id) {
+  document.getElementById(id).classList.add('hidden');
+}
+
+function addItemRow(existing = null) {
+  const row = document.createElement('div');
+  row.className = 'item-edit-row';
+  
+  // Keep the existing photo references unless a new file is chosen
+  const existingPhoto = existing && (existing.photoPath || existing.photo)
+    ? JSON.stringify({ photo: existing.photo || '', thumbPath: existing.thumbPath || '', photoPath: existing.photoPath || '' })
+    : '';
+  row.dataset.existingPhoto = existingPhoto;
+  
+  // The product name is filled in by fillItemSuggestions
+  row.dataset.productId = existing?.productId || '';
+  
+  // Keep item identity and price history across edits
+  if (existing?.itemId) {
+    row.dataset.itemId = existing.itemId;
+    row.dataset.priceHistory = JSON.stringify(existing.priceHistory || []);
+    row.dataset.originalPrice = existing.price ?? '';
+  }
+  
+  const gstRate = Number(existing?.gstRate || 0);
+  const unit = existing?.unit || DEFAULT_UNIT;
+  const precision = existing?.precision ?? '';
+  
+  row.innerHTML = `
+    <div style="display: flex; flex-direction: column; gap: 4px;">
+      <input type="file" accept="image/*"/>
+      <small class="photo-info" style="color: #94a3b8; font-size: 11px;">${existingPhoto ? 'Has existing photo' : ''}</small>
+    </div>
+    <input type="text" class="item-name" placeholder="Item name" value="${existing?.name || ''}" required/>
+    <input type="number" class="item-price" placeholder="Price (₹, incl. GST)" value="${existing?.price || ''}" min="0" step="0.01"/>
+    <select class="item-unit" title="Price is per this unit">
+      ${Object.keys(UNITS).map(u => `<option value="${u}" ${u === unit ? 'selected' : ''}>per ${UNITS[u].label}</option>`).join('')}
+    </select>
+    <select class="item-precision" title="Decimal places allowed in quantities">
+      <option value="" ${precision === '' ? 'selected' : ''}>Auto</option>
+      ${[0, 1, 2, 3].map(d => `<option value="${d}" ${d === precision ? 'selected' : ''}>${d ? (10 ** -d) : 'Whole'}</option>`).join('')}
+    </select>
+    <input type="text" class="item-code" placeholder="SKU/Code (optional)" value="${existing?.code || ''}"/>
+    <input type="text" class="item-hsn" placeholder="HSN" value="${existing?.hsn || ''}" maxlength="8"/>
+    <select class="item-gst" title="GST rate">
+      ${GST_RATES.map(r => `<option value="${r}" ${r === gstRate ? 'selected' : ''}>${r}%</option>`).join('')}
+    </select>
+    <button type="button" class="btn-secondary">Remove</button>
+    <div class="item-extra">
+      <input type="text" class="item-product" placeholder="Product (to compare sellers)" list="productNameList" title="Items of different sellers linked to the same product are compared"/>
+      <input type="text" class="item-category" placeholder="Category (e.g. Dairy)" value="${existing?.category || ''}" list="itemCategoryList"/>
+      <input type="text" class="item-tags" placeholder="Tags, comma separated (e.g. daily, organic)" value="${(existing?.tags || []).join(', ')}"/>
+      <input type="number" class="item-max-qty" placeholder="Usual max qty" value="${existing?.maxQty || ''}" min="0" step="any" title="Warn when a purchase has more than this (in the item's unit)"/>
+    </div>
+  `;
+  
+  // Add file change listener
+  const fileInput = row.querySelector('input[type="file"]');
+  const photoInfo = row.querySelector('.photo-info');
+  
+  fileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      photoInfo.textContent = `${file.name} (${formatFileSize(file.size)}) - Will be uploaded`;
+      photoInfo.style.color = '#22c55e';
+      // Clear existing photo data when new file is selected
+      row.dataset.existingPhoto = '';
+    } else if (existingPhoto) {
+      photoInfo.textContent = 'Has existing photo';
+      photoInfo.style.color = '#94a3b8';
+      // Restore existing photo data
+      row.dataset.existingPhoto = existingPhoto;
+    } else {
+      photoInfo.textContent = '';
+      row.dataset.existingPhoto = '';
+    }
+  });
+  
+  row.querySelector('button').addEventListener('click', () => row.remove());
+  document.getElementById('itemsList').appendChild(row);
+}
+
+// Product id for a name typed in the seller form, adding the product to the master list when it's new
+async function productIdFor(name, unit, products) {
+  if (!name) return '';
+  const match = products.find(p => p.name.toLowerCase() === name.toLowerCase());
+  if (match) return match.id;
+  
+  const product = { name, unit, createdAt: new Date().toISOString() };
+  const id = await setData(COLLECTIONS.PRODUCTS, product);
+  products.push({ id, ...product });
+  return id;
+}
+
+async function handleSellerSubmit(e) {
+  e.preventDefault();
+  if (!requireOwner()) return;
+  const name = document.getElementById('sellerName').value.trim();
+  if (!name) return;
+  
+  const contact = document.getElementById('sellerContact').value.trim();
+  const gstin = document.getElementById('sellerGstin').value.trim().toUpperCase();
+  if (gstin && !GSTIN_PATTERN.test(gstin)) {
+    alert('Seller GSTIN does not look valid (15 characters, e.g. 27ABCDE1234F1Z5)');
+    return;
+  }
+  const effectiveFrom = document.getElementById('priceEffectiveFrom').value || todayISO();
+  const rows = [...document.querySelectorAll('#itemsList .item-edit-row')];
+  const items = [];
+  const products = await getData(COLLECTIONS.PRODUCTS);
+  
+  // Show processing message
+  const submitBtn = e.target.querySelector('button[type="submit"]');
+  const originalText = submitBtn.textContent;
+  submitBtn.textContent = 'Processing...';
+  submitBtn.disabled = true;
+  
+  try {
+    for (const r of rows) {
       const file = r.querySelector('input[type="file"]').files[0];
-      const nameInput = r.querySelector('input[type="text"]');
-      const priceInput = r.querySelector('input[type="number"]');
-      const codeInput = r.querySelectorAll('input[type="text"]')[1];
+      const nameInput = r.querySelector('.item-name');
+      const priceInput = r.querySelector('.item-price');
+      const codeInput = r.querySelector('.item-code');
+      const hsnInput = r.querySelector('.item-hsn');
+      const gstSelect = r.querySelector('.item-gst');
+      const unitSelect = r.querySelector('.item-unit');
+      const precisionSelect = r.querySelector('.item-precision');
+      const categoryInput = r.querySelector('.item-category');
+      const tagsInput = r.querySelector('.item-tags');
+      const productInput = r.querySelector('.item-product');
+      const maxQtyInput = r.querySelector('.item-max-qty');
+      
+      if (!nameInput.value.trim()) continue;
+      
+      const itemId = r.dataset.itemId || crypto.randomUUID();
+      let photo = { photo: '', thumbPath: '', photoPath: '' };
+      
+      if (file) {
+        // New photo uploaded
+        submitBtn.textContent = 'Uploading photos...';
+        try {
+          photo = { photo: '', ...(await uploadItemPhoto(businessId, itemId, file)) };
+        } catch (error) {
+          alert(`Error uploading photo "${file.name}": ${error.message}`);
+          submitBtn.textContent = originalText;
+          submitBtn.disabled = false;
+          return;
+        }
+      } else if (r.dataset.existingPhoto) {
+        // Keep existing photo
+        photo = JSON.parse(r.dataset.existingPhoto);
+      }
+      
+      const price = Number(priceInput.value) || 0;
+      
+      items.push({ 
+        itemId,
+        name: nameInput.value.trim(), 
+        price: price,
+        priceHistory: buildPriceHistory(r, price, effectiveFrom),
+        unit: unitSelect.value,
+        // Blank: whole numbers, or 3 decimals for kg and L (see qtyDecimals)
+        ...(precisionSelect.value !== '' ? { precision: Number(precisionSelect.value) } : {}),
+        code: codeInput.value.trim(),
+        hsn: hsnInput.value.trim(),
+        gstRate: Number(gstSelect.value) || 0,
+        category: categoryInput.value.trim(),
+        tags: parseTags(tagsInput.value),
+        productId: await productIdFor(productInput.value.trim(), unitSelect.value, products),
+        maxQty: Number(maxQtyInput.value) || 0,
+        ...photo
+      });
+    }
+    
+    if (items.length === 0 || items.length > MAX_ITEMS) {
+      alert(items.length ? `A seller can have at most ${MAX_ITEMS} items; this one has ${items.length}. Remove some or split them across sellers.` : 'Please add at least one item');
+      submitBtn.textContent = originalText;
+      submitBtn.disabled = false;
+      return;
+    }
+    
+    submitBtn.textContent = 'Saving to database...';
+    
+    const editId = e.target.dataset.editId;
+    
+    const sellerData = {
+      name: name,
+      contact: contact,
+      gstin: gstin,
+      items: items,
+      updatedAt: new Date().toISOString()
+    };
+    
+    if (editId && editId.trim() !== '') {
+      // EDITING EXISTING SELLER
+      console.log('Updating seller with ID:', editId);
+      
+      // Verify seller exists
+      const sellers = await getData(COLLECTIONS.SELLERS);
+      const existingSeller = sellers.find(s => s.id === editId);
+      
+      if (existingSeller) {
+        await updateData(COLLECTIONS.SELLERS, editId, sellerData);
+        alert('Seller updated successfully!');
+      } else {
+        console.log('Seller not found, creating new one');
+        sellerData.createdAt = new Date().toISOString();
+        await setData(COLLECTIONS.SELLERS, sellerData);
+        alert('Seller created (original not found)!');
+      }
+    } else {
+      // CREATING NEW SELLER
+      console.log('Creating new seller');
+      sellerData.createdAt = new Date().toISOString();
+      await setData(COLLECTIONS.SELLERS, sellerData);
+      alert('Seller created successfully!');
+    }
+    
+    closeModal('sellerModal');
+    
+  } catch (error) {
+    console.error('Error saving seller:', error);
+    alert('Error saving seller: ' + error.message);
+  } finally {
+    submitBtn.textContent = originalText;
+    submitBtn.disabled = false;
+  }
+}
+
+// Append a price history entry when an item's price changes
+function buildPriceHistory(row, price, effectiveFrom) {
+  let history = [];
+  try {
+    history = JSON.parse(row.dataset.priceHistory || '[]');
+  } catch (error) {
+    console.error('Invalid price history on item row:', error);
+  }
+  
+  return nextPriceHistory(history, row.dataset.itemId ? row.dataset.originalPrice : '', price, effectiveFrom);
+}
+
+// Bulk import of sellers and item catalogs (CSV/XLSX, one row per item)
+const IMPORT_COLUMNS = {
+  sellerName: ['seller', 'seller name', 'seller_name', 'sellername'],
+  contact: ['contact', 'phone', 'seller contact'],
+  itemName: ['item', 'item name', 'item_name', 'itemname', 'product'],
+  price: ['price', 'rate', 'price (₹)'],
+  unit: ['unit', 'uom', 'unit of measure'],
+  code: ['code', 'sku', 'sku/code', 'item code'],
+  hsn: ['hsn', 'hsn code'],
+  gstRate: ['gst', 'gst %', 'gst rate', 'gstrate'],
+  category: ['category', 'item category'],
+  tags: ['tags', 'tag'],
+  photo: ['photo', 'photo url', 'image', 'photo file', 'photo filename']
+};
+
+let importPlan = null;
+
+function openImportModal() {
+  importPlan = null;
+  document.getElementById('importFile').value = '';
+  document.getElementById('importPhotos').value = '';
+  document.getElementById('importPreview').innerHTML = '<div class="item-meta">Choose a CSV or Excel file with columns: Seller, Contact, Item, Price, Unit, Code, HSN, GST, Category, Tags, Photo (URL or file name).</div>';
+  document.getElementById('applyImportBtn').disabled = true;
+  document.getElementById('importModal').classList.remove('hidden');
+}
+
+// Parse the first sheet into objects keyed by IMPORT_COLUMNS, keeping the spreadsheet row number
+async function parseImportFile(file) {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const [header = [], ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+  
+  const columns = {};
+  header.forEach((title, index) => {
+    const normalized = String(title).trim().toLowerCase();
+    Object.entries(IMPORT_COLUMNS).forEach(([field, names]) => {
+      if (names.includes(normalized) && columns[field] === undefined) columns[field] = index;
+    });
+  });
+  
+  if (columns.sellerName === undefined || columns.itemName === undefined) {
+    throw new Error('The file needs at least "Seller" and "Item" columns.');
+  }
+  
+  return rows
+    .map((cells, i) => {
+      const row = { rowNumber: i + 2 };
+      Object.entries(columns).forEach(([field, index]) => { row[field] = String(cells[index] ?? '').trim(); });
+      return row;
+    })
+    .filter(row => Object.keys(IMPORT_COLUMNS).some(field => row[field]));
+}
+
+// Group rows by seller, validate them and match sellers against existing ones by name.
+// Rows with errors are skipped; rows with warnings are imported as the warning says.
+function buildImportPlan(rows, sellers, photoFiles) {
+  const groups = {};
+  const errors = [];
+  const warnings = [];
+  
+  rows.forEach(row => {
+    if (!row.sellerName) return errors.push(`Row ${row.rowNumber}: missing seller name`);
+    if (!row.itemName) return errors.push(`Row ${row.rowNumber}: missing item name`);
+    
+    const price = Number(String(row.price || '').replace(/[₹,\s]/g, ''));
+    if (row.price === '' || row.price === undefined || isNaN(price) || price < 0) {
+      return errors.push(`Row ${row.rowNumber}: price "${row.price || ''}" is not a valid number`);
+    }
+    
+    const gstRate = row.gstRate ? Number(String(row.gstRate).replace('%', '')) : 0;
+    if (!GST_RATES.includes(gstRate)) {
+      return errors.push(`Row ${row.rowNumber}: GST rate "${row.gstRate}" must be one of ${GST_RATES.join(', ')}`);
+    }
+    
+    const unit = row.unit ? Object.keys(UNITS).find(u => u.toLowerCase() === String(row.unit).trim().toLowerCase()) : '';
+    if (unit === undefined) {
+      return errors.push(`Row ${row.rowNumber}: unit "${row.unit}" must be one of ${Object.keys(UNITS).join(', ')}`);
+    }
+    
+    const key = row.sellerName.toLowerCase();
+    groups[key] = groups[key] || { name: row.sellerName, contact: '', items: [] };
+    if (row.contact && !groups[key].contact) groups[key].contact = row.contact;
+    
+    const group = groups[key];
+    if (row.code && group.items.some(it => it.code && it.code.toLowerCase() === row.code.toLowerCase())) {
+      return errors.push(`Row ${row.rowNumber}: duplicate code "${row.code}" for ${row.sellerName}`);
+    }
+    if (group.items.some(it => it.name.toLowerCase() === row.itemName.toLowerCase())) {
+      return errors.push(`Row ${row.rowNumber}: duplicate item "${row.itemName}" for ${row.sellerName}`);
+    }
+    
+    // A photo is either a URL or the name of one of the selected photo files
+    let photo = '';
+    let photoFile = null;
+    if (row.photo) {
+      if (/^(https?:|data:)/i.test(row.photo)) {
+        photo = row.photo;
+      } else {
+        const fileName = row.photo.split(/[\\/]/).pop().toLowerCase();
+        photoFile = photoFiles.find(f => f.name.toLowerCase() === fileName) || null;
+        if (!photoFile) warnings.push(`Row ${row.rowNumber}: photo file "${row.photo}" was not selected`);
+      }
+    }
+    
+    group.items.push({
+      name: row.itemName, price, unit, code: row.code || '', hsn: row.hsn || '', gstRate,
+      category: row.category || '', tags: parseTags(row.tags), photo, photoFile
+    });
+  });
+  
+  const planned = Object.values(groups).map(group => {
+    const existing = sellers.find(s => s.name.trim().toLowerCase() === group.name.toLowerCase()) || null;
+    return { ...group, existing, action: existing ? 'merge' : 'create' };
+  });
+  
+  return { sellers: planned, errors, warnings };
+}
+
+// Items an import would leave the seller with; existing items keep their itemId and photo
+function importedItems(plannedSeller, effectiveFrom) {
+  const existingItems = plannedSeller.existing?.items || [];
+  const findExisting = (it) => existingItems.find(e =>
+    (it.code && e.code && e.code.toLowerCase() === it.code.toLowerCase()) ||
+    e.name.toLowerCase() === it.name.toLowerCase());
+  
+  const incoming = plannedSeller.items.map(it => {
+    const match = findExisting(it);
+    return {
+      ...(match || {}),
+      itemId: match?.itemId || crypto.randomUUID(),
+      name: it.name,
+      price: it.price,
+      priceHistory: nextPriceHistory(match?.priceHistory, match ? match.price : '', it.price, effectiveFrom),
+      unit: it.unit || match?.unit || DEFAULT_UNIT,
+      code: it.code || match?.code || '',
+      hsn: it.hsn || match?.hsn || '',
+      gstRate: it.gstRate,
+      category: it.category || match?.category || '',
+      tags: it.tags.length ? it.tags : match?.tags || [],
+      photo: it.photo || match?.photo || '',
+      photoFile: it.photoFile
+    };
+  });
+  
+  if (plannedSeller.action !== 'merge') return incoming;
+  
+  // Merge keeps existing items that the file doesn't mention
+  const untouched = existingItems.filter(e => !incoming.some(it => it.itemId === e.itemId));
+  return [...untouched, ...incoming];
+}
+
+// Codes must stay unique within a seller after merging, and the item count within MAX_ITEMS
+function importConflicts(plannedSeller) {
+  if (plannedSeller.action === 'skip') return [];
+  const seen = {};
+  const conflicts = [];
+  const items = importedItems(plannedSeller, todayISO());
+  if (items.length > MAX_ITEMS) conflicts.push(`${items.length} items, more than the ${MAX_ITEMS} a seller can have`);
+  items.forEach(it => {
+    if (!it.code) return;
+    const code = it.code.toLowerCase();
+    if (seen[code] && seen[code] !== it.itemId) conflicts.push(`code "${it.code}" would be used twice`);
+    seen[code] = it.itemId;
+  });
+  return conflicts;
+}
+
+async function previewImport() {
+  const file = document.getElementById('importFile').files[0];
+  if (!file) return;
+  
+  const preview = document.getElementById('importPreview');
+  preview.innerHTML = '<div class="item-meta">Reading file...</div>';
+  
+  try {
+    const rows = await parseImportFile(file);
+    const sellers = await getData(COLLECTIONS.SELLERS);
+    importPlan = buildImportPlan(rows, sellers, [...document.getElementById('importPhotos').files]);
+    renderImportPreview(importPlan);
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    importPlan = null;
+    preview.innerHTML = `<div class="auth-error">${error.message}</div>`;
+    document.getElementById('applyImportBtn').disabled = true;
+  }
+}
+
+function renderImportPreview(plan) {
+  const errorHtml = plan.errors.length
+    ? `<div class="import-errors"><strong>${plan.errors.length} row problem(s) — these rows will be skipped:</strong>${plan.errors.map(e => `<div>${e}</div>`).join('')}</div>`
+    : '';
+  const warningHtml = plan.warnings.length
+    ? `<div class="import-errors"><strong>${plan.warnings.length} row(s) will be imported without their photo:</strong>${plan.warnings.map(w => `<div>${w}</div>`).join('')}</div>`
+    : '';
+  
+  const sellerHtml = plan.sellers.map((seller, index) => {
+    const conflicts = importConflicts(seller);
+    return `
+      <div class="bill-row">
+        <div>
+          <div style="font-weight:700">${seller.name} ${seller.existing ? '<span class="status-chip">existing</span>' : '<span class="status-chip paid">new</span>'}</div>
+          <div class="item-meta">${seller.items.length} items: ${seller.items.slice(0, 5).map(it => `${it.name} (${formatRs(it.price)})`).join(', ')}${seller.items.length > 5 ? '…' : ''}</div>
+          ${conflicts.length ? `<div class="auth-error">${conflicts.join('; ')}</div>` : ''}
+        </div>
+        <div></div>
+        <div>
+          ${seller.existing ? `
+            <select data-import-seller="${index}">
+              <option value="merge" ${seller.action === 'merge' ? 'selected' : ''}>Merge items</option>
+              <option value="replace" ${seller.action === 'replace' ? 'selected' : ''}>Replace items</option>
+              <option value="skip" ${seller.action === 'skip' ? 'selected' : ''}>Skip</option>
+            </select>` : 'Create'}
+        </div>
+      </div>
+    `;
+  }).join('') || '<div class="item-meta">No valid rows found</div>';
+  
+  document.getElementById('importPreview').innerHTML = errorHtml + warningHtml + sellerHtml;
+  
+  const blocked = plan.sellers.some(seller => importConflicts(seller).length > 0);
+  const anything = plan.sellers.some(seller => seller.action !== 'skip');
+  document.getElementById('applyImportBtn').disabled = blocked || !anything;
+}
+
+async function applyImport() {
+  if (!requireOwner() || !importPlan) return;
+  
+  const btn = document.getElementById('applyImportBtn');
+  const originalText = btn.textContent;
+  btn.disabled = true;
+  
+  const effectiveFrom = todayISO();
+  let created = 0, updated = 0;
+  
+  try {
+    for (const seller of importPlan.sellers) {
+      if (seller.action === 'skip') continue;
+      btn.textContent = `Importing ${seller.name}...`;
+      
+      const items = [];
+      for (const { photoFile, ...item } of importedItems(seller, effectiveFrom)) {
+        if (photoFile) Object.assign(item, await uploadItemPhoto(businessId, item.itemId, photoFile), { photo: '' });
+        items.push(item);
+      }
+      
+      const sellerData = {
+        name: seller.existing ? seller.existing.name : seller.name,
+        contact: seller.contact || seller.existing?.contact || '',
+        items,
+        updatedAt: new Date().toISOString()
+      };
+      
+      if (seller.existing) {
+        await updateData(COLLECTIONS.SELLERS, seller.existing.id, sellerData);
+        updated++;
+      } else {
+        sellerData.gstin = '';
+        sellerData.createdAt = new Date().toISOString();
+        await setData(COLLECTIONS.SELLERS, sellerData);
+        created++;
+      }
+    }
+    
+    importPlan = null;
+    closeModal('importModal');
+    alert(`Import complete: ${created} seller(s) created, ${updated} updated.`);
+  } catch (error) {
+    console.error('Error importing sellers:', error);
+    alert('Error importing sellers: ' + error.message);
+  } finally {
+    btn.textContent = originalText;
+    btn.disabled = false;
+  }
+}
+
+// Render Functions
+async function renderSellers() {
+  const wrap = document.getElementById('sellersList');
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  
+  wrap.innerHTML = sellers.map(s => {
+    const itemHtml = (s.items || []).map(it => `
+      <div class="item-row">
+        ${itemPhotoHtml(it, 'item-thumb')}
+        <div>
+          <div>${it.name}</div>
+          <div class="item-meta">${it.code || ''}</div>
+        </div>
+        <div title="${priceHistoryText(it)}">${formatRs(it.price)}</div>
+      </div>
+    `).join('');
+    
+    return `
+      <div class="seller-card">
+        <div class="seller-header">
+          <div class="seller-avatar">${(s.name[0] || '?').toUpperCase()}</div>
+          <div>
+            <div style="font-weight:700">${s.name}</div>
+            <div class="item-meta">${s.contact || ''}</div>
+          </div>
+          <div style="margin-left:auto; display:flex; gap:6px;">
+            <button class="btn-secondary owner-only" onclick="editSeller('${s.id}')">Edit</button>
+            <button class="btn-secondary owner-only" onclick="deleteSeller('${s.id}')">Delete</button>
+          </div>
+        </div>
+        <div class="seller-items">${itemHtml || '<div class="item-meta">No items yet</div>'}</div>
+      </div>
+    `;
+  }).join('') || '<div class="item-meta">No sellers yet. Click + Add Seller.</div>';
+  loadItemPhotos(wrap);
+}
+
+function priceHistoryText(item) {
+  return (item.priceHistory || [])
+    .map(h => `${h.effectiveFrom ? 'From ' + h.effectiveFrom : 'Initially'}: ${formatRs(h.price)}`)
+    .join('\n');
+}
+
+// Global functions for onclick handlers
+window.editSeller = async (id) => {
+  if (!requireOwner()) return;
+  console.log('Edit clicked for seller ID:', id);
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const s = sellers.find(x => x.id === id);
+  if (!s) {
+    alert('Seller not found. Please refresh the page.');
+    await renderSellers();
+    return;
+  }
+  openSellerModal(s);
+};
+
+// Deleting a seller moves it to the Trash along with its unbilled purchases.
+// Sellers with billed purchases are archived instead: they can be restored but never purged.
+window.deleteSeller = async (id) => {
+  if (!requireOwner()) return;
+  
+  const seller = (await getData(COLLECTIONS.SELLERS)).find(s => s.id === id);
+  if (!seller) return alert('Seller not found. Please refresh the page.');
+  
+  const sellerPurchases = (await getData(COLLECTIONS.PURCHASES)).filter(p => p.sellerId === id);
+  const billed = sellerPurchases.filter(p => p.billed);
+  const unbilled = sellerPurchases.filter(p => !p.billed);
+  
+  if (unbilled.length > BATCH_LIMIT - 1) {
+    return alert(`${seller.name} has ${unbilled.length} unbilled purchases, but at most ${BATCH_LIMIT - 1} can move to Trash together with it. Bill or delete some of them first.`);
+  }
+  
+  const message = billed.length
+    ? `Archive ${seller.name}? Its ${billed.length} billed purchase(s) are kept for your records; ${unbilled.length} unbilled purchase(s) move to Trash.`
+    : `Move ${seller.name} and its ${unbilled.length} purchase(s) to Trash?`;
+  if (!confirm(message)) return;
+  
+  try {
+    // Show loading state
+    const deleteBtn = document.querySelector(`button[onclick="deleteSeller('${id}')"]`);
+    if (deleteBtn) {
+      deleteBtn.textContent = 'Deleting...';
+      deleteBtn.disabled = true;
+    }
+    
+    // The seller and its purchases move to Trash in one batch, or not at all
+    const deletedAt = new Date().toISOString();
+    await commitAtomic([
+      ...unbilled.map(p => ({ type: 'update', collection: COLLECTIONS.PURCHASES, id: p.id, data: { deletedAt, deletedWithSeller: id } })),
+      { type: 'update', collection: COLLECTIONS.SELLERS, id, data: { deletedAt, archived: billed.length > 0 } }
+    ]);
+    
+    showUndoToast(`${seller.name} ${billed.length ? 'archived' : 'moved to Trash'}`, () => restoreSeller(id));
+  } catch (error) {
+    console.error('Error deleting seller:', error);
+    alert('Error deleting seller: ' + error.message);
+  }
+};
+
+// Purchase Tab
+async function renderPurchaseTab() {
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const listPanel = document.getElementById('sellerListPanel');
+  
+  listPanel.innerHTML = sellers.map(s => `
+    <div class="seller-card" style="cursor:pointer" onclick="selectSeller('${s.id}')">
+      <div class="seller-header">
+        <div class="seller-avatar">${(s.name[0] || '?').toUpperCase()}</div>
+        <div>
+          <div style="font-weight:700">${s.name}</div>
+          <div class="item-meta">${(s.items || []).length} items</div>
+        </div>
+      </div>
+    </div>
+  `).join('') || '<div class="item-meta">Add sellers to begin</div>';
+  
+  // The selected seller may have been deleted by someone else
+  if (selectedSellerId && !sellers.some(s => s.id === selectedSellerId)) {
+    selectedSellerId = null;
+    pendingCart = {};
+    cartUnits = {};
+    document.getElementById('chatHeader').textContent = 'Select a seller';
+    document.getElementById('chatItems').innerHTML = '<div class="item-meta" style="padding:10px">Select a seller to begin</div>';
+    document.getElementById('chatFooter').innerHTML = '';
+    document.getElementById('templateBar').classList.add('hidden');
+  }
+  
+  if (selectedSellerId) await selectSeller(selectedSellerId, true);
+  await updateHeaderStats();
+}
+
+window.selectSeller = async (id, keepQty = false) => {
+  selectedSellerId = id;
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const s = sellers.find(x => x.id === id);
+  
+  if (!s) {
+    alert('Seller not found. Please refresh the page.');
+    await renderPurchaseTab();
+    return;
+  }
+  
+  document.getElementById('chatHeader').textContent = s.name;
+  const chatItems = document.getElementById('chatItems');
+  
+  if (!keepQty) {
+    pendingCart = {};
+    cartUnits = {};
+  }
+  
+  const date = document.getElementById('purchaseDate').value || todayISO();
+  
+  chatItems.innerHTML = (s.items || []).map(it => {
+    const qty = pendingCart[it.itemId] || 0;
+    const price = priceOn(it, date);
+    const unit = cartUnits[it.itemId] || it.unit || DEFAULT_UNIT;
+    const units = compatibleUnits(it.unit);
+    const cheaper = qty > 0 ? cheaperElsewhere(sellers, s.id, it, date) : null;
+    return `
+      <div class="chat-item">
+        ${itemPhotoHtml(it)}
+        <div>
+          <div style="font-weight:700">${it.name}</div>
+          <div class="item-meta">${formatRs(price)}/${unitLabel(it.unit)}${price !== Number(it.price) ? ` <span title="Current price: ${formatRs(it.price)}">(price on ${date})</span>` : ''} ${it.code ? '• ' + it.code : ''}</div>
+          ${cheaper ? `<div class="cheaper-flag">Cheaper at ${cheaper.sellerName}: ${formatRs(cheaper.price)}/${unitLabel(it.unit)}</div>` : ''}
+        </div>
+        <div class="qty-controls">
+          <button class="btn-secondary" onclick="changeQty('${it.itemId}', -1)">-</button>
+          <input type="number" min="0" step="${10 ** -qtyDecimals(it, unit)}" value="${qty}" onchange="setQty('${it.itemId}', this.value)"/>
+          ${units.length > 1
+            ? `<select onchange="setCartUnit('${it.itemId}', this.value)">${units.map(u => `<option value="${u}" ${u === unit ? 'selected' : ''}>${unitLabel(u)}</option>`).join('')}</select>`
+            : `<span class="item-meta">${unitLabel(unit)}</span>`}
+          <button class="btn-secondary" onclick="changeQty('${it.itemId}', 1)">+</button>
+        </div>
+      </div>
+    `;
+  }).join('') || '<div class="item-meta" style="padding:10px">No items for this seller</div>';
+  loadItemPhotos(chatItems);
+  
+  await renderTemplateBar();
+  await renderCartFooter();
+};
+
+// Catalog item of the selected seller
+async function cartItem(itemId) {
+  const s = (await getData(COLLECTIONS.SELLERS)).find(x => x.id === selectedSellerId);
+  return (s?.items || []).find(i => i.itemId === itemId) || null;
+}
+
+// Steppers move by the smallest amount the item's precision allows (0.001 kg, 0.5 L, 1 piece...)
+window.changeQty = async (itemId, direction) => {
+  const it = await cartItem(itemId);
+  if (!it) return;
+  const decimals = qtyDecimals(it, cartUnits[itemId]);
+  pendingCart[itemId] = roundQty(Math.max(0, (pendingCart[itemId] || 0) + direction * 10 ** -decimals), decimals);
+  await selectSeller(selectedSellerId, true);
+};
+
+window.setQty = async (itemId, val) => {
+  const it = await cartItem(itemId);
+  if (!it) return;
+  const v = roundQty(Math.max(0, Number(val) || 0), qtyDecimals(it, cartUnits[itemId]));
+  const wasInCart = pendingCart[itemId] > 0;
+  pendingCart[itemId] = v;
+  // Redraw to show the rounded quantity, or the cheaper-seller flag when an item enters or leaves the cart
+  if (v !== Number(val) || wasInCart !== v > 0) await selectSeller(selectedSellerId, true);
+  else await renderCartFooter();
+};
+
+// Switch the unit a quantity is entered in (e.g. kg → g), keeping the same amount
+window.setCartUnit = async (itemId, unit) => {
+  const it = await cartItem(itemId);
+  if (!it) return;
+  const from = cartUnits[itemId] || it.unit;
+  pendingCart[itemId] = roundQty(convertQty(pendingCart[itemId] || 0, from, unit), qtyDecimals(it, unit));
+  cartUnits[itemId] = unit;
+  await selectSeller(selectedSellerId, true);
+};
+
+// Purchase line for a catalog item priced on `date`; qtyUnit is kept only when it differs from the rate unit
+function purchaseLine(it, qty, qtyUnit, date) {
+  const line = {
+    itemId: it.itemId,
+    name: it.name,
+    price: priceOn(it, date),
+    qty: Number(qty),
+    unit: it.unit || DEFAULT_UNIT,
+    hsn: it.hsn || '',
+    gstRate: Number(it.gstRate || 0)
+  };
+  if (qtyUnit && qtyUnit !== line.unit) line.qtyUnit = qtyUnit;
+  return line;
+}
+
+// Qty of a saved line in `unit`; lines saved before the item's unit changed keep their number
+function qtyIn(line, unit) {
+  try {
+    return convertQty(line.qty, line.qtyUnit || line.unit, unit);
+  } catch {
+    return Number(line.qty);
+  }
+}
+
+async function renderCartFooter() {
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const s = sellers.find(x => x.id === selectedSellerId);
+  
+  if (!s) return;
+  
+  const date = document.getElementById('purchaseDate').value || todayISO();
+  const total = sumAmounts(Object.entries(pendingCart).map(([itemId, qty]) => {
+    const it = (s.items || []).find(i => i.itemId === itemId);
+    return it ? lineAmount(purchaseLine(it, qty, cartUnits[itemId], date)) : 0;
+  }));
+  
+  const footer = document.getElementById('chatFooter');
+  footer.innerHTML = `
+    <div class="total-chip">Total: ${formatRs(total)}</div>
+    <div style="display:flex; gap:8px;">
+      <button class="btn-secondary" onclick="clearCart()">Clear</button>
+      <button class="btn-primary" onclick="savePurchase()">Save</button>
+    </div>
+  `;
+}
+
+window.clearCart = async () => {
+  pendingCart = {};
+  cartUnits = {};
+  await selectSeller(selectedSellerId, true);
+};
+
+// Cart templates and repeat last order
+async function renderTemplateBar() {
+  const bar = document.getElementById('templateBar');
+  if (!selectedSellerId) {
+    bar.classList.add('hidden');
+    return;
+  }
+  
+  const templates = (await getData(COLLECTIONS.TEMPLATES))
+    .filter(t => t.sellerId === selectedSellerId)
+    .sort((a,b) => a.name.localeCompare(b.name));
+  const last = await lastPurchase(selectedSellerId);
+  
+  bar.innerHTML = `
+    ${templates.map(t => `
+      <span class="template-chip">
+        <button class="btn-secondary" onclick="loadTemplate('${t.id}')" title="${(t.items || []).length} item(s)">${t.name}</button>
+        <button class="template-remove" onclick="deleteTemplate('${t.id}')" title="Delete template">×</button>
+      </span>
+    `).join('')}
+    <button class="btn-secondary" onclick="repeatLastPurchase()" ${last ? `title="Purchase of ${last.date}"` : 'disabled title="No purchases from this seller yet"'}>↻ Repeat last</button>
+    <button class="btn-secondary" onclick="saveCartAsTemplate()">Save as template</button>
+  `;
+  bar.classList.remove('hidden');
+}
+
+// The seller's most recent purchase, including ones still waiting in the outbox
+async function lastPurchase(sellerId) {
+  const queued = (await getQueued(businessId)).map(e => ({ id: e.id, ...e.data }));
+  const purchases = [...(await getData(COLLECTIONS.PURCHASES)), ...queued].filter(p => p.sellerId === sellerId && !isReturnOrCredit(p));
+  purchases.sort((a,b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''));
+  return purchases[purchases.length - 1] || null;
+}
+
+// Fill the cart from saved lines, skipping items the seller no longer stocks
+async function fillCart(lines) {
+  const s = (await getData(COLLECTIONS.SELLERS)).find(x => x.id === selectedSellerId);
+  if (!s) return;
+  
+  const itemIds = new Set((s.items || []).map(i => i.itemId));
+  pendingCart = {};
+  cartUnits = {};
+  lines.filter(l => itemIds.has(l.itemId)).forEach(l => {
+    const it = s.items.find(i => i.itemId === l.itemId);
+    // Keep the unit the line was entered in while the item still sells in it
+    const unit = cartUnits[l.itemId] || (compatibleUnits(it.unit).includes(l.qtyUnit) ? l.qtyUnit : it.unit || DEFAULT_UNIT);
+    cartUnits[l.itemId] = unit;
+    pendingCart[l.itemId] = roundQty((pendingCart[l.itemId] || 0) + qtyIn(l, unit), 6);
+  });
+  
+  const missing = lines.filter(l => !itemIds.has(l.itemId)).length;
+  await selectSeller(selectedSellerId, true);
+  if (missing) alert(`${missing} item(s) are no longer in ${s.name}'s catalog and were left out.`);
+}
+
+window.loadTemplate = async (id) => {
+  const template = (await getData(COLLECTIONS.TEMPLATES)).find(t => t.id === id);
+  if (!template) return alert('Template not found. Please refresh the page.');
+  await fillCart(template.items || []);
+};
+
+window.repeatLastPurchase = async () => {
+  const last = await lastPurchase(selectedSellerId);
+  if (!last) return alert('No purchases from this seller yet');
+  await fillCart(last.items || []);
+};
+
+window.saveCartAsTemplate = async () => {
+  const items = Object.entries(pendingCart)
+    .filter(([_, qty]) => qty > 0)
+    .map(([itemId, qty]) => ({ itemId, qty: Number(qty), ...(cartUnits[itemId] ? { qtyUnit: cartUnits[itemId] } : {}) }));
+  if (items.length === 0) return alert('Add some quantities first, then save them as a template');
+  
+  const name = (prompt('Template name (e.g. Morning milk order)') || '').trim();
+  if (!name) return;
+  
+  try {
+    const templates = (await getData(COLLECTIONS.TEMPLATES)).filter(t => t.sellerId === selectedSellerId);
+    const existing = templates.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      if (!confirm(`Replace the "${existing.name}" template?`)) return;
+      await updateData(COLLECTIONS.TEMPLATES, existing.id, { items, updatedAt: new Date().toISOString() });
+    } else {
+      await setData(COLLECTIONS.TEMPLATES, {
+        sellerId: selectedSellerId,
+        name,
+        items,
+        createdAt: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error saving template:', error);
+    alert('Error saving template: ' + error.message);
+  }
+};
+
+window.deleteTemplate = async (id) => {
+  const template = (await getData(COLLECTIONS.TEMPLATES)).find(t => t.id === id);
+  if (!template || !confirm(`Delete the "${template.name}" template?`)) return;
+  
+  try {
+    await deleteData(COLLECTIONS.TEMPLATES, id);
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    alert('Error deleting template: ' + error.message);
+  }
+};
+
+window.savePurchase = async () => {
+  if (!selectedSellerId) return alert('Select a seller');
+  
+  const date = document.getElementById('purchaseDate').value || todayISO();
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const s = sellers.find(x => x.id === selectedSellerId);
+  
+  if (!s) return alert('Seller not found. Please refresh the page.');
+  
+  const items = Object.entries(pendingCart)
+    .filter(([_, q]) => q > 0)
+    .map(([itemId, qty]) => {
+      const it = (s.items || []).find(i => i.itemId === itemId);
+      return it ? purchaseLine(it, qty, cartUnits[itemId], date) : null;
+    })
+    .filter(item => item !== null);
+    
+  if (items.length === 0) return alert('No quantities selected');
+  
+  // Warnings only: the purchase can still be saved
+  const warnings = await purchaseWarnings(s, { sellerId: s.id, date, items });
+  if (warnings.length && !confirm(`${warnings.join('\n')}\n\nSave this purchase anyway?`)) return;
+  
+  try {
+    // Saved locally first; the outbox pushes it to Firestore when a connection is available
+    await putQueued({
+      id: newDocId(COLLECTIONS.PURCHASES),
+      businessId,
+      type: 'purchase',
+      status: 'queued',
+      sellerUpdatedAt: s.updatedAt || null,
+      queuedAt: new Date().toISOString(),
+      data: {
+        sellerId: s.id,
+        sellerName: s.name,
+        date: date,
+        items: items,
+        billed: false,
+        createdAt: new Date().toISOString()
+      }
+    });
+    
+    pendingCart = {};
+    cartUnits = {};
+    await selectSeller(selectedSellerId, true);
+    await updateSyncStatus();
+    alert(navigator.onLine ? 'Purchase saved successfully!' : 'Purchase saved offline. It will sync when you are back online.');
+    flushOutbox();
+  } catch (error) {
+    console.error('Error saving purchase:', error);
+    alert('Error saving purchase: ' + error.message);
+  }
+};
+
+// Offline outbox
+let flushingOutbox = false;
+
+// Push queued purchases to Firestore, holding back any that conflict with seller changes
+async function flushOutbox() {
+  if (flushingOutbox || !businessId || !navigator.onLine) {
+    await updateSyncStatus();
+    return;
+  }
+  flushingOutbox = true;
+  
+  try {
+    const entries = await getQueued(businessId);
+    const sellers = await getData(COLLECTIONS.SELLERS);
+    
+    for (const entry of entries) {
+      if (entry.status === 'conflict') continue;
       
-      if (!nameInput.value.trim()) continue;
+      const conflict = entry.forced ? null : findOutboxConflict(entry, sellers);
+      if (conflict) {
+        await putQueued({ ...entry, status: 'conflict', conflict });
+        continue;
+      }
       
-      let photoData = '';
+      await putQueued({ ...entry, status: 'syncing' });
+      await updateSyncStatus();
       
-      if (file) {
-        // New photo uploaded
-        submitBtn.textContent = 'Processing photos...';
-        try {
-          photoData = await fileToDataURL(file);
-        } catch (error) {
-          alert(`Error processing photo "${file.name}": ${error.message}`);
-          submitBtn.textContent = originalText;
-          submitBtn.disabled = false;
-          return;
-        }
-      } else if (r.dataset.existingPhoto) {
-        // Keep existing photo
-        photoData = r.dataset.existingPhoto;
+      try {
+        // Keyed by the entry id, so a retry after an interrupted sync cannot duplicate the purchase
+        await repo.put(COLLECTIONS.PURCHASES, entry.id, sanitizeForFirestore(entry.data));
+        await removeQueued(entry.id);
+      } catch (error) {
+        console.error('Error syncing queued purchase:', error);
+        await putQueued({ ...entry, status: 'queued', error: error.message });
       }
-      
-      items.push({ 
-        itemId: crypto.randomUUID(), // Always generate new itemId for consistency
-        name: nameInput.value.trim(), 
-        price: Number(priceInput.value) || 0,
-        code: codeInput.value.trim(),
-        photo: photoData
-      });
     }
-    
-    if (items.length === 0) {
-      alert('Please add at least one item');
-      submitBtn.textContent = originalText;
-      submitBtn.disabled = false;
-      return;
+  } catch (error) {
+    console.error('Error flushing outbox:', error);
+  } finally {
+    flushingOutbox = false;
+    await updateSyncStatus();
+  }
+}
+
+// Describe why a queued purchase no longer matches its seller, or null if it still does
+function findOutboxConflict(entry, sellers) {
+  const seller = sellers.find(s => s.id === entry.data.sellerId);
+  if (!seller) return 'Seller was deleted after this purchase was recorded';
+  if ((seller.updatedAt || null) === entry.sellerUpdatedAt) return null;
+  
+  const problems = [];
+  entry.data.items.forEach(line => {
+    const item = (seller.items || []).find(i => i.itemId === line.itemId);
+    if (!item) {
+      problems.push(`${line.name} was removed`);
+    } else if (priceOn(item, entry.data.date) !== Number(line.price)) {
+      problems.push(`${line.name} is now ${formatRs(priceOn(item, entry.data.date))} (recorded at ${formatRs(line.price)})`);
     }
+  });
+  
+  return problems.length ? `Seller was edited: ${problems.join('; ')}` : null;
+}
+
+async function updateSyncStatus() {
+  const btn = document.getElementById('syncStatusBtn');
+  const entries = businessId ? await getQueued(businessId) : [];
+  const conflicts = entries.filter(e => e.status === 'conflict').length;
+  
+  let label = navigator.onLine ? 'Synced' : 'Offline';
+  if (entries.length > 0) {
+    label = `${navigator.onLine ? '' : 'Offline • '}${entries.length} pending sync`;
+    if (conflicts > 0) label += ` (${conflicts} need attention)`;
+  }
+  
+  btn.textContent = label;
+  btn.classList.toggle('has-pending', entries.length > 0);
+  btn.classList.toggle('has-conflicts', conflicts > 0);
+  
+  if (!document.getElementById('syncModal').classList.contains('hidden')) {
+    renderSyncQueue(entries);
+  }
+}
+
+async function openSyncModal() {
+  document.getElementById('syncModal').classList.remove('hidden');
+  renderSyncQueue(await getQueued(businessId));
+}
+
+function renderSyncQueue(entries) {
+  document.getElementById('syncQueue').innerHTML = entries.map(entry => {
+    const total = purchaseTotal(entry.data);
+    return `
+      <div class="seller-card">
+        <div style="display:flex; justify-content:space-between; gap:8px;">
+          <div>
+            <div style="font-weight:700">${entry.data.sellerName} • ${entry.data.date}</div>
+            <div class="item-meta">${entry.data.items.map(lineText).join(', ')}</div>
+          </div>
+          <div>${formatRs(total)}</div>
+        </div>
+        <div class="item-meta">Status: ${entry.status}${entry.error ? ' — last error: ' + entry.error : ''}</div>
+        ${entry.status === 'conflict' ? `
+          <div class="auth-error">${entry.conflict}</div>
+          <div style="display:flex; gap:6px; margin-top:6px;">
+            <button class="btn-secondary" onclick="resolveQueued('${entry.id}', 'keep')">Sync as recorded</button>
+            ${entry.conflict.startsWith('Seller was edited') ? `<button class="btn-secondary" onclick="resolveQueued('${entry.id}', 'reprice')">Use current prices</button>` : ''}
+            <button class="btn-secondary" onclick="resolveQueued('${entry.id}', 'discard')">Discard</button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }).join('') || '<div class="item-meta">Nothing waiting to sync.</div>';
+}
+
+window.resolveQueued = async (id, action) => {
+  const entry = (await getQueued(businessId)).find(e => e.id === id);
+  if (!entry) return;
+  
+  if (action === 'discard') {
+    if (!confirm('Discard this purchase? It has not been saved to the server.')) return;
+    await removeQueued(id);
+  } else if (action === 'reprice') {
+    const sellers = await getData(COLLECTIONS.SELLERS);
+    const seller = sellers.find(s => s.id === entry.data.sellerId);
+    if (!seller) return alert('Seller not found.');
     
-    submitBtn.textContent = 'Saving to database...';
-    
-    const editId = e.target.dataset.editId;
+    // Drop removed items and take the prices in effect on the purchase date
+    const items = entry.data.items
+      .map(line => {
+        const item = (seller.items || []).find(i => i.itemId === line.itemId);
+        return item ? { ...line, name: item.name, price: priceOn(item, entry.data.date) } : null;
+      })
+      .filter(line => line !== null);
+    if (items.length === 0) return alert('None of these items exist any more. Discard the purchase instead.');
     
-    const sellerData = {
-      name: name,
-      contact: contact,
-      items: items,
-      updatedAt: new Date().toISOString()
-    };
+    await putQueued({
+      ...entry,
+      status: 'queued',
+      conflict: null,
+      sellerUpdatedAt: seller.updatedAt || null,
+      data: { ...entry.data, sellerName: seller.name, items }
+    });
+  } else {
+    await putQueued({ ...entry, status: 'queued', conflict: null, forced: true });
+  }
+  
+  await flushOutbox();
+};
+
+// Purchase ledger
+async function renderLedger() {
+  const purchases = await getData(COLLECTIONS.PURCHASES);
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const bills = await getData(COLLECTIONS.BILLS);
+  
+  // Keep the seller filter options in step with the seller list
+  const sellerSelect = document.getElementById('ledgerSeller');
+  const selected = sellerSelect.value;
+  sellerSelect.innerHTML = '<option value="">All sellers</option>' + sellers
+    .map(s => `<option value="${s.id}">${s.name}</option>`)
+    .join('');
+  sellerSelect.value = sellers.some(s => s.id === selected) ? selected : '';
+  
+  const sellerId = sellerSelect.value;
+  const from = document.getElementById('ledgerFrom').value;
+  const to = document.getElementById('ledgerTo').value;
+  const status = document.getElementById('ledgerStatus').value;
+  
+  const filtered = purchases
+    .filter(p => !sellerId || p.sellerId === sellerId)
+    .filter(p => !from || p.date >= from)
+    .filter(p => !to || p.date <= to)
+    .filter(p => status === 'all' || (status === 'billed' ? p.billed : !p.billed))
+    .sort((a,b) => b.date.localeCompare(a.date) || (b.createdAt || '').localeCompare(a.createdAt || ''));
+  
+  const total = sumPurchases(filtered);
+  
+  document.getElementById('ledgerSummary').innerHTML = `
+    <div class="total-chip">${filtered.length} entries</div>
+    <div class="total-chip">Total: ${formatRs(total)}</div>
+  `;
+  
+  document.getElementById('ledgerList').innerHTML = filtered.map(p => {
+    const bill = p.billId ? bills.find(b => b.id === p.billId) : null;
+    return `
+      <div class="ledger-row" onclick="openPurchase('${p.id}')">
+        <div>${p.date}</div>
+        <div>
+          <div style="font-weight:700">${p.sellerName}${p.autoGenerated ? ' <span class="status-chip" title="Added by a recurring purchase rule">auto</span>' : ''}${isReturnOrCredit(p) ? ` <span class="status-chip credit">${ENTRY_TYPES[p.type]}</span>` : ''}</div>
+          <div class="item-meta">${entryText(p)}</div>
+        </div>
+        <div>${p.billed ? `<span class="status-chip">Billed${bill ? ' • ' + bill.billNumber : ''}</span>` : '<span class="status-chip unbilled">Unbilled</span>'}</div>
+        <div style="text-align:right">${formatRs(purchaseTotal(p))}</div>
+      </div>
+    `;
+  }).join('') || '<div class="item-meta">No purchases match these filters</div>';
+}
+
+// Purchase currently open in the purchase editor
+let editingPurchase = null;
+
+window.openPurchase = async (id) => {
+  const purchases = await getData(COLLECTIONS.PURCHASES);
+  const purchase = purchases.find(p => p.id === id);
+  if (!purchase) {
+    alert('Purchase not found. It may have been deleted.');
+    return;
+  }
+  
+  editingPurchase = purchase;
+  // Returns and credit notes can't be edited, only deleted and recorded again
+  const locked = purchase.billed || currentRole !== ROLES.OWNER || isReturnOrCredit(purchase);
+  
+  document.getElementById('purchaseEditSeller').textContent = purchase.sellerName;
+  document.getElementById('purchaseEditDate').value = purchase.date;
+  document.getElementById('purchaseEditDate').disabled = locked;
+  
+  let lockMessage = '';
+  if (purchase.billed) {
+    const bills = await getData(COLLECTIONS.BILLS);
+    const bill = bills.find(b => b.id === purchase.billId);
+    lockMessage = `Billed${bill ? ' in ' + bill.billNumber : ''}. Void the bill to edit or delete this purchase.`;
+  } else if (currentRole !== ROLES.OWNER) {
+    lockMessage = 'Only the business owner can edit purchases.';
+  } else if (purchase.type === 'return') {
+    const original = purchases.find(p => p.id === purchase.items?.[0]?.returnOf);
+    lockMessage = `Return${original ? ' from the purchase of ' + original.date : ''}${purchase.reason ? ': ' + purchase.reason : ''}. Delete it and record it again to change it.`;
+  } else if (purchase.type === 'credit') {
+    lockMessage = `Credit note for ${formatRs(purchase.amount)}${purchase.reason ? ': ' + purchase.reason : ''}. Delete it and record it again to change it.`;
+  }
+  document.getElementById('purchaseEditLock').textContent = lockMessage;
+  document.getElementById('purchaseEditLock').classList.toggle('hidden', !lockMessage);
+  
+  // What is left to return of each line (nothing for returns and credit notes themselves)
+  const returnable = (purchase.items || []).map(it => isReturnOrCredit(purchase)
+    ? 0
+    : roundQty(it.qty - returnedQty(purchases, purchase.id, it.itemId), 6));
+  renderPurchaseEditItems(purchase.items || [], locked, returnable);
+  
+  document.querySelector('#purchaseEditForm button[type="submit"]').classList.toggle('hidden', locked);
+  document.getElementById('deletePurchaseBtn').classList.toggle('hidden', purchase.billed || currentRole !== ROLES.OWNER);
+  document.getElementById('notDeliveredBtn').classList.toggle('hidden', locked || !purchase.recurringId);
+  document.getElementById('purchaseEditModal').classList.remove('hidden');
+};
+
+function renderPurchaseEditItems(items, locked, returnable = []) {
+  document.getElementById('purchaseEditItems').innerHTML = items.map((it, idx) => `
+    <div class="purchase-edit-row editable-line" data-index="${idx}">
+      <div>
+        <div style="font-weight:700">${it.name}</div>
+        <div class="item-meta purchase-edit-price" data-price="${it.price}" data-unit="${unitLabel(it.unit)}">${formatRs(it.price)}/${unitLabel(it.unit)}</div>
+      </div>
+      <input type="number" class="purchase-edit-qty" min="0" step="any" value="${it.qty}" title="Quantity in ${unitLabel(it.qtyUnit || it.unit)}" ${locked ? 'disabled' : ''}/>
+      <input type="text" class="purchase-edit-discount" value="${formatDiscount(it.discount)}" placeholder="Discount" title="Line discount, e.g. 10% or 50" ${locked ? 'disabled' : ''}/>
+      <div>${returnable[idx] > 0 ? `<button type="button" class="btn-secondary" onclick="returnPurchaseLine(${idx})" title="Record goods sent back to the seller">Return</button>` : ''}</div>
+    </div>
+  `).join('') || '<div class="item-meta">No items</div>';
+}
+
+// Prices follow the price history, so moving a purchase to another date re-prices it
+async function repricePurchaseEdit() {
+  if (!editingPurchase) return;
+  const date = document.getElementById('purchaseEditDate').value;
+  if (!date) return;
+  
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const seller = sellers.find(s => s.id === editingPurchase.sellerId);
+  if (!seller) return;
+  
+  document.querySelectorAll('#purchaseEditItems .purchase-edit-row').forEach(row => {
+    const line = editingPurchase.items[Number(row.dataset.index)];
+    const item = (seller.items || []).find(i => i.itemId === line.itemId);
+    const price = item ? priceOn(item, date) : Number(line.price);
+    const priceEl = row.querySelector('.purchase-edit-price');
+    priceEl.dataset.price = price;
+    priceEl.textContent = `${formatRs(price)}/${priceEl.dataset.unit}${price !== Number(line.price) ? ` (was ${formatRs(line.price)})` : ''}`;
+  });
+}
+
+async function handlePurchaseEditSubmit(e) {
+  e.preventDefault();
+  if (!requireOwner() || !editingPurchase) return;
+  if (editingPurchase.billed) return alert('This purchase is billed. Void its bill first.');
+  
+  const date = document.getElementById('purchaseEditDate').value;
+  if (!date) return alert('Select a date');
+  
+  let items;
+  try {
+    items = [...document.querySelectorAll('#purchaseEditItems .purchase-edit-row')]
+      .map(row => {
+        const { discount: _, ...line } = editingPurchase.items[Number(row.dataset.index)];
+        const discount = parseDiscount(row.querySelector('.purchase-edit-discount').value);
+        return {
+          ...line,
+          price: Number(row.querySelector('.purchase-edit-price').dataset.price),
+          qty: Math.max(0, Number(row.querySelector('.purchase-edit-qty').value) || 0),
+          ...(discount ? { discount } : {})
+        };
+      })
+      .filter(it => it.qty > 0);
+  } catch (error) {
+    return alert(error.message);
+  }
+  
+  if (items.length === 0) {
+    if (confirm('All quantities are zero. Delete this purchase instead?')) await deleteEditedPurchase();
+    return;
+  }
+  
+  try {
+    // Re-check: it may have been billed since the editor was opened
+    const purchases = await getData(COLLECTIONS.PURCHASES);
+    const latest = purchases.find(p => p.id === editingPurchase.id);
+    if (!latest) return alert('This purchase was deleted in the meantime.');
+    if (latest.billed) return alert('This purchase was billed in the meantime and can no longer be edited.');
     
-    if (editId && editId.trim() !== '') {
-      // EDITING EXISTING SELLER
-      console.log('Updating seller with ID:', editId);
-      
-      // Verify seller exists
-      const sellers = await getData(COLLECTIONS.SELLERS);
-      const existingSeller = sellers.find(s => s.id === editId);
-      
-      if (existingSeller) {
-        await updateData(COLLECTIONS.SELLERS, editId, sellerData);
-        alert('Seller updated successfully!');
-      } else {
-        console.log('Seller not found, creating new one');
-        sellerData.createdAt = new Date().toISOString();
-        await setData(COLLECTIONS.SELLERS, sellerData);
-        alert('Seller created (original not found)!');
-      }
-    } else {
-      // CREATING NEW SELLER
-      console.log('Creating new seller');
-      sellerData.createdAt = new Date().toISOString();
-      await setData(COLLECTIONS.SELLERS, sellerData);
-      alert('Seller created successfully!');
+    // Returns are credited against the original quantity, so it can't drop below what went back
+    const shortfall = (latest.items || []).find(line => {
+      const returned = returnedQty(purchases, latest.id, line.itemId);
+      const kept = items.filter(it => it.itemId === line.itemId).reduce((sum, it) => sum + it.qty, 0);
+      return returned > 0 && kept < returned;
+    });
+    if (shortfall) {
+      return alert(`${formatQty(returnedQty(purchases, latest.id, shortfall.itemId), shortfall.qtyUnit || shortfall.unit)} of ${shortfall.name} has been returned from this purchase. Delete that return first to record less.`);
     }
     
-    closeModal('sellerModal');
-    await forceRefreshAllData();
+    await updateData(COLLECTIONS.PURCHASES, editingPurchase.id, {
+      date,
+      items,
+      updatedAt: new Date().toISOString()
+    });
     
+    editingPurchase = null;
+    closeModal('purchaseEditModal');
   } catch (error) {
-    console.error('Error saving seller:', error);
-    alert('Error saving seller: ' + error.message);
-  } finally {
-    submitBtn.textContent = originalText;
-    submitBtn.disabled = false;
+    console.error('Error updating purchase:', error);
+    alert('Error updating purchase: ' + error.message);
   }
 }
 
-// Render Functions
-async function renderSellers() {
-  const wrap = document.getElementById('sellersList');
+// Returns recorded against a purchase, which would credit goods that no longer exist if it went
+const hasReturns = async (purchase) => (await getData(COLLECTIONS.PURCHASES))
+  .some(p => p.type === 'return' && (p.items || []).some(line => line.returnOf === purchase.id));
+
+async function deleteEditedPurchase() {
+  if (!requireOwner() || !editingPurchase) return;
+  if (editingPurchase.billed) return alert('This purchase is billed. Void its bill first.');
+  if (await hasReturns(editingPurchase)) return alert('Goods from this purchase have been returned. Delete those returns first.');
+  if (!confirm(`Move this purchase from ${editingPurchase.sellerName} on ${editingPurchase.date} to Trash?`)) return;
+  
+  try {
+    const id = editingPurchase.id;
+    await updateData(COLLECTIONS.PURCHASES, id, { deletedAt: new Date().toISOString() });
+    editingPurchase = null;
+    closeModal('purchaseEditModal');
+    showUndoToast('Purchase moved to Trash', () => restorePurchase(id));
+  } catch (error) {
+    console.error('Error deleting purchase:', error);
+    alert('Error deleting purchase: ' + error.message);
+  }
+}
+
+// Returns
+// Goods sent back are a separate entry dated today, so a billed purchase stays as billed
+// and the return comes off the next bill
+window.returnPurchaseLine = async (index) => {
+  const purchase = editingPurchase;
+  const line = purchase?.items?.[index];
+  if (!line) return;
+  
+  const unit = line.qtyUnit || line.unit;
+  const left = roundQty(line.qty - returnedQty(await getData(COLLECTIONS.PURCHASES), purchase.id, line.itemId), 6);
+  if (left <= 0) return alert(`All of the ${line.name} from this purchase has already been returned.`);
+  
+  const answer = prompt(`How much ${line.name} is going back to ${purchase.sellerName}? (up to ${formatQty(left, unit)})`, left);
+  if (answer === null) return;
+  const qty = Number(answer);
+  if (!(qty > 0) || qty > left) return alert(`Enter a quantity more than 0 and at most ${formatQty(left, unit)}`);
+  
+  const reason = prompt('Reason for the return (e.g. damaged, expired)', '');
+  if (reason === null) return;
+  
+  try {
+    await setData(COLLECTIONS.PURCHASES, {
+      sellerId: purchase.sellerId,
+      sellerName: purchase.sellerName,
+      date: todayISO(),
+      type: 'return',
+      reason: reason.trim(),
+      items: [returnLine(line, qty, purchase.id)],
+      billed: false,
+      createdAt: new Date().toISOString()
+    });
+    editingPurchase = null;
+    closeModal('purchaseEditModal');
+    alert(`Return of ${lineText({ ...line, qty })} recorded. It comes off the next bill.`);
+  } catch (error) {
+    console.error('Error recording return:', error);
+    alert('Error recording return: ' + error.message);
+  }
+};
+
+// Recurring purchases
+// Rules: { sellerId, name, items: [{ itemId, qty }], frequency, days, startDate, endDate, skipDates,
+// active, lastGeneratedThrough }. Opening the app adds any missing purchases up to today.
+async function materialiseRecurring() {
+  const today = todayISO();
+  const rules = (await getData(COLLECTIONS.RECURRING)).filter(r => r.active !== false);
+  if (rules.length === 0) return;
+  
   const sellers = await getData(COLLECTIONS.SELLERS);
+  // Cancelled (soft-deleted) days count as existing, so they aren't generated again.
+  // This only saves work; the transaction below is what keeps existing purchases safe.
+  const existing = new Set((await getData(COLLECTIONS.PURCHASES, { includeDeleted: true })).map(p => p.id));
+  let added = 0;
   
-  wrap.innerHTML = sellers.map(s => {
-    const itemHtml = (s.items || []).map(it => `
-      <div class="item-row">
-        <img class="item-thumb" 
-             src="${it.photo || 'image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDgiIGhlaWdodD0iNDgiIHZpZXdCb3g9IjAgMCA0OCA0OCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjQ4IiBoZWlnaHQ9IjQ4IiBmaWxsPSIjMGIxMjIwIi8+Cjx0ZXh0IHg9IjI0IiB5PSIyOCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iIzk0YTNiOCIgZm9udC1zaXplPSIxMiI+Tm8gSW1hZ2U8L3RleHQ+Cjwvc3ZnPgo='}" 
-             alt="${it.name}"
-             loading="lazy"/>
-        <div>
-          <div>${it.name}</div>
-          <div class="item-meta">${it.code || ''}</div>
-        </div>
-        <div>${formatRs(it.price)}</div>
-      </div>
-    `).join('');
+  for (const rule of rules) {
+    if (rule.lastGeneratedThrough >= today) continue;
+    // Rules of deleted sellers wait until the seller is restored
+    const seller = sellers.find(s => s.id === rule.sellerId);
+    if (!seller) continue;
     
-    return `
-      <div class="seller-card">
-        <div class="seller-header">
-          <div class="seller-avatar">${(s.name[0] || '?').toUpperCase()}</div>
+    const from = rule.lastGeneratedThrough ? addDays(rule.lastGeneratedThrough, 1) : rule.startDate;
+    let pending = recurringDates(rule, from, today).filter(date => !existing.has(recurringPurchaseId(rule.id, date)));
+    // Purchases are create-only and checked against the server: one that was edited or cancelled
+    // on another device is never overwritten, whatever this device's cache says. Each transaction
+    // records how far it got, so a long gap is filled in several.
+    do {
+      const dates = pending.slice(0, BATCH_LIMIT - 1);
+      pending = pending.slice(dates.length);
+      const ops = dates
+        .map(date => ({ type: 'create', collection: COLLECTIONS.PURCHASES, id: recurringPurchaseId(rule.id, date), data: recurringPurchase(rule, seller, date) }))
+        .filter(op => op.data.items.length > 0);
+      ops.push({ type: 'update', collection: COLLECTIONS.RECURRING, id: rule.id, data: { lastGeneratedThrough: pending.length ? dates[dates.length - 1] : today } });
+      added += await repo.transact(sanitizeOps(ops));
+    } while (pending.length);
+  }
+  
+  if (added) console.log(`Added ${added} recurring purchase(s)`);
+}
+
+// Purchase for one delivery day, priced as of that day
+function recurringPurchase(rule, seller, date) {
+  const items = (rule.items || [])
+    .map(line => {
+      const it = (seller.items || []).find(i => i.itemId === line.itemId);
+      if (!it) return null;
+      // Like fillCart: keep the unit the rule was saved in while the item still sells in it
+      const unit = compatibleUnits(it.unit).includes(line.qtyUnit) ? line.qtyUnit : it.unit || DEFAULT_UNIT;
+      return purchaseLine(it, roundQty(qtyIn(line, unit), 6), unit, date);
+    })
+    .filter(Boolean);
+  
+  return {
+    sellerId: seller.id,
+    sellerName: seller.name,
+    date,
+    items,
+    billed: false,
+    autoGenerated: true,
+    recurringId: rule.id,
+    createdAt: new Date().toISOString()
+  };
+}
+
+const FREQUENCY_LABELS = { daily: 'Every day', weekdays: 'Weekdays', weekly: 'Weekly' };
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+async function renderRecurring() {
+  const rules = await getData(COLLECTIONS.RECURRING);
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  
+  document.getElementById('recurringList').innerHTML = rules
+    .sort((a,b) => a.name.localeCompare(b.name))
+    .map(r => {
+      const seller = sellers.find(s => s.id === r.sellerId);
+      const schedule = r.frequency === 'weekly'
+        ? `Weekly on ${(r.days || []).map(d => DAY_NAMES[d]).join(', ')}`
+        : FREQUENCY_LABELS[r.frequency];
+      const items = (r.items || []).map(line => {
+        const it = (seller?.items || []).find(i => i.itemId === line.itemId);
+        return `${it ? it.name : 'Removed item'} × ${formatQty(line.qty, it?.unit)}`;
+      }).join(', ');
+      return `
+        <div class="bill-row">
           <div>
-            <div style="font-weight:700">${s.name}</div>
-            <div class="item-meta">${s.contact || ''}</div>
+            <div style="font-weight:700">${r.name} ${r.active === false ? '<span class="status-chip">paused</span>' : ''}</div>
+            <div class="item-meta">${seller ? seller.name : 'Deleted seller'} • ${schedule} • from ${r.startDate}${r.endDate ? ' to ' + r.endDate : ''}</div>
+            <div class="item-meta">${items}</div>
           </div>
-          <div style="margin-left:auto; display:flex; gap:6px;">
-            <button class="btn-secondary" onclick="editSeller('${s.id}')">Edit</button>
-            <button class="btn-secondary" onclick="deleteSeller('${s.id}')">Delete</button>
+          <div></div>
+          <div style="display:flex; gap:6px;">
+            <button class="btn-secondary" onclick="toggleRecurring('${r.id}')">${r.active === false ? 'Resume' : 'Pause'}</button>
+            <button class="btn-secondary" onclick="openRecurringModal('${r.id}')">Edit</button>
+            <button class="btn-secondary" onclick="deleteRecurring('${r.id}')">Delete</button>
           </div>
         </div>
-        <div class="seller-items">${itemHtml || '<div class="item-meta">No items yet</div>'}</div>
+      `;
+    }).join('') || '<div class="item-meta">No recurring purchases. Add one for daily deliveries like milk or newspapers.</div>';
+}
+
+// Rule open in the recurring purchase modal (null when adding)
+let editingRecurring = null;
+
+window.openRecurringModal = async (id = null) => {
+  if (!requireOwner()) return;
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  if (sellers.length === 0) return alert('Add a seller first');
+  
+  editingRecurring = id ? (await getData(COLLECTIONS.RECURRING)).find(r => r.id === id) : null;
+  const rule = editingRecurring || { frequency: 'daily', days: [], startDate: todayISO(), skipDates: [] };
+  
+  const sellerSelect = document.getElementById('recurringSeller');
+  sellerSelect.innerHTML = sellers.map(s => `<option value="${s.id}">${s.name}</option>`).join('');
+  sellerSelect.value = rule.sellerId || selectedSellerId || sellers[0].id;
+  sellerSelect.disabled = !!editingRecurring;
+  
+  document.getElementById('recurringName').value = rule.name || '';
+  document.getElementById('recurringFrequency').value = rule.frequency;
+  document.getElementById('recurringDaysGroup').classList.toggle('hidden', rule.frequency !== 'weekly');
+  document.querySelectorAll('#recurringDaysGroup input').forEach(box => {
+    box.checked = (rule.days || []).includes(Number(box.value));
+  });
+  document.getElementById('recurringStart').value = rule.startDate;
+  document.getElementById('recurringEnd').value = rule.endDate || '';
+  document.getElementById('recurringSkip').value = (rule.skipDates || []).join(', ');
+  
+  await renderRecurringItems(rule.items || []);
+  document.getElementById('recurringModal').classList.remove('hidden');
+};
+
+async function renderRecurringItems(lines = []) {
+  const sellerId = document.getElementById('recurringSeller').value;
+  const seller = (await getData(COLLECTIONS.SELLERS)).find(s => s.id === sellerId);
+  
+  document.getElementById('recurringItems').innerHTML = (seller?.items || []).map(it => {
+    const line = lines.find(l => l.itemId === it.itemId);
+    const unit = it.unit || DEFAULT_UNIT;
+    return `
+      <div class="purchase-edit-row">
+        <div>${it.name} <span class="item-meta">${formatRs(it.price)}/${unitLabel(it.unit)}</span></div>
+        <input type="number" min="0" step="${10 ** -qtyDecimals(it)}" value="${line ? roundQty(qtyIn(line, unit), qtyDecimals(it)) : 0}" data-item-id="${it.itemId}" data-unit="${unit}" data-decimals="${qtyDecimals(it)}" title="Quantity in ${unitLabel(it.unit)}"/>
       </div>
     `;
-  }).join('') || '<div class="item-meta">No sellers yet. Click + Add Seller.</div>';
+  }).join('') || '<div class="item-meta">This seller has no items</div>';
 }
 
-// Global functions for onclick handlers
-window.editSeller = async (id) => {
-  console.log('Edit clicked for seller ID:', id);
-  const sellers = await getData(COLLECTIONS.SELLERS);
-  const s = sellers.find(x => x.id === id);
-  if (!s) {
-    alert('Seller not found. Please refresh the page.');
-    await renderSellers();
-    return;
+async function handleRecurringSubmit(e) {
+  e.preventDefault();
+  if (!requireOwner()) return;
+  
+  // Lines keep the unit they were entered in, so a later change of the item's unit converts them
+  const items = [...document.querySelectorAll('#recurringItems input')]
+    .map(input => ({
+      itemId: input.dataset.itemId,
+      qty: roundQty(Math.max(0, Number(input.value) || 0), Number(input.dataset.decimals)),
+      qtyUnit: input.dataset.unit
+    }))
+    .filter(line => line.qty > 0);
+  if (items.length === 0) return alert('Enter a quantity for at least one item');
+  
+  const frequency = document.getElementById('recurringFrequency').value;
+  const days = [...document.querySelectorAll('#recurringDaysGroup input:checked')].map(box => Number(box.value));
+  if (frequency === 'weekly' && days.length === 0) return alert('Pick the days of the week for deliveries');
+  
+  const startDate = document.getElementById('recurringStart').value;
+  const endDate = document.getElementById('recurringEnd').value || null;
+  if (!startDate) return alert('Select a start date');
+  if (endDate && endDate < startDate) return alert('The end date is before the start date');
+  
+  const skipDates = document.getElementById('recurringSkip').value
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  const badDate = skipDates.find(d => !/^\d{4}-\d{2}-\d{2}$/.test(d));
+  if (badDate) return alert(`Skip dates must look like 2025-01-31 ("${badDate}" doesn't)`);
+  
+  const rule = {
+    name: document.getElementById('recurringName').value.trim() || 'Recurring purchase',
+    items,
+    frequency,
+    days: frequency === 'weekly' ? days : [],
+    startDate,
+    endDate,
+    skipDates: [...new Set(skipDates)].sort(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  try {
+    if (editingRecurring) {
+      // Changes apply to days that haven't been generated yet
+      await updateData(COLLECTIONS.RECURRING, editingRecurring.id, rule);
+    } else {
+      await setData(COLLECTIONS.RECURRING, {
+        ...rule,
+        sellerId: document.getElementById('recurringSeller').value,
+        active: true,
+        lastGeneratedThrough: null,
+        createdAt: new Date().toISOString()
+      });
+    }
+    editingRecurring = null;
+    closeModal('recurringModal');
+    await materialiseRecurring();
+  } catch (error) {
+    console.error('Error saving recurring purchase:', error);
+    alert('Error saving recurring purchase: ' + error.message);
+  }
+}
+
+window.toggleRecurring = async (id) => {
+  if (!requireOwner()) return;
+  const rule = (await getData(COLLECTIONS.RECURRING)).find(r => r.id === id);
+  if (!rule) return;
+  
+  try {
+    if (rule.active === false) {
+      // Days missed while paused are not filled in
+      await updateData(COLLECTIONS.RECURRING, id, { active: true, lastGeneratedThrough: addDays(todayISO(), -1) });
+      await materialiseRecurring();
+    } else {
+      await updateData(COLLECTIONS.RECURRING, id, { active: false });
+    }
+  } catch (error) {
+    console.error('Error updating recurring purchase:', error);
+    alert('Error updating recurring purchase: ' + error.message);
   }
-  openSellerModal(s);
 };
 
-window.deleteSeller = async (id) => {
-  if (!confirm('Delete this seller? This will also remove all associated purchases.')) return;
+window.deleteRecurring = async (id) => {
+  if (!requireOwner()) return;
+  const rule = (await getData(COLLECTIONS.RECURRING)).find(r => r.id === id);
+  if (!rule || !confirm(`Delete "${rule.name}"? Purchases it already added are kept.`)) return;
   
   try {
-    console.log('Starting deletion for seller ID:', id);
-    
-    // Show loading state
-    const deleteBtn = document.querySelector(`button[onclick="deleteSeller('${id}')"]`);
-    if (deleteBtn) {
-      deleteBtn.textContent = 'Deleting...';
-      deleteBtn.disabled = true;
-    }
-    
-    // First, delete associated purchases
-    console.log('Deleting associated purchases...');
-    const purchases = await getData(COLLECTIONS.PURCHASES);
-    const sellerPurchases = purchases.filter(p => p.sellerId === id);
-    
-    console.log(`Found ${sellerPurchases.length} purchases to delete`);
-    
-    for (const purchase of sellerPurchases) {
-      await deleteData(COLLECTIONS.PURCHASES, purchase.id);
-      console.log(`Deleted purchase: ${purchase.id}`);
-    }
-    
-    // Then delete the seller
-    console.log('Deleting seller...');
-    await deleteData(COLLECTIONS.SELLERS, id);
-    console.log(`Seller ${id} deleted from Firestore`);
-    
-    // Clear selected seller if it was the deleted one
-    if (selectedSellerId === id) {
-      selectedSellerId = null;
+    await deleteData(COLLECTIONS.RECURRING, id);
+  } catch (error) {
+    console.error('Error deleting recurring purchase:', error);
+    alert('Error deleting recurring purchase: ' + error.message);
+  }
+};
+
+// Cancel a generated purchase for a day the delivery didn't come; the day is added to the rule's skip dates
+async function markNotDelivered() {
+  if (!requireOwner() || !editingPurchase?.recurringId) return;
+  if (editingPurchase.billed) return alert('This purchase is billed. Void its bill first.');
+  if (await hasReturns(editingPurchase)) return alert('Goods from this purchase have been returned. Delete those returns first.');
+  if (!confirm(`Mark ${editingPurchase.date} as not delivered? The purchase moves to Trash.`)) return;
+  
+  try {
+    const purchase = editingPurchase;
+    const rule = (await getData(COLLECTIONS.RECURRING)).find(r => r.id === purchase.recurringId);
+    const ops = [{
+      type: 'update',
+      collection: COLLECTIONS.PURCHASES,
+      id: purchase.id,
+      data: { deletedAt: new Date().toISOString(), notDelivered: true }
+    }];
+    if (rule) {
+      ops.push({
+        type: 'update',
+        collection: COLLECTIONS.RECURRING,
+        id: rule.id,
+        data: { skipDates: [...new Set([...(rule.skipDates || []), purchase.date])].sort() }
+      });
     }
+    await commitAtomic(ops);
     
-    // Force refresh all data
-    await forceRefreshAllData();
-    
-    alert('Seller deleted successfully!');
-    
+    editingPurchase = null;
+    closeModal('purchaseEditModal');
   } catch (error) {
-    console.error('Error deleting seller:', error);
-    alert('Error deleting seller: ' + error.message);
+    console.error('Error marking not delivered:', error);
+    alert('Error marking not delivered: ' + error.message);
   }
-};
+}
 
-// Purchase Tab
-async function renderPurchaseTab() {
+// Product master and price comparison
+async function renderProducts() {
+  const products = (await getData(COLLECTIONS.PRODUCTS)).sort((a,b) => a.name.localeCompare(b.name));
   const sellers = await getData(COLLECTIONS.SELLERS);
-  const listPanel = document.getElementById('sellerListPanel');
+  const today = todayISO();
   
-  listPanel.innerHTML = sellers.map(s => `
-    <div class="seller-card" style="cursor:pointer" onclick="selectSeller('${s.id}')">
-      <div class="seller-header">
-        <div class="seller-avatar">${(s.name[0] || '?').toUpperCase()}</div>
+  document.getElementById('productsList').innerHTML = products.map(p => {
+    const offers = productOffers(sellers, p.id, today, p.unit);
+    const best = offers[0];
+    return `
+      <div class="bill-row">
         <div>
-          <div style="font-weight:700">${s.name}</div>
-          <div class="item-meta">${(s.items || []).length} items</div>
+          <div style="font-weight:700">${p.name}</div>
+          <div class="item-meta">${offers.length} seller(s)${best ? ` • cheapest: ${best.sellerName} at ${formatRs(best.price)}/${unitLabel(p.unit)}` : ''}</div>
+        </div>
+        <div></div>
+        <div style="display:flex; gap:6px;">
+          <button class="btn-secondary" onclick="openProductComparison('${p.id}')">Compare</button>
+          <button class="btn-secondary owner-only" onclick="renameProduct('${p.id}')">Rename</button>
+          <button class="btn-secondary owner-only" onclick="deleteProduct('${p.id}')">Delete</button>
         </div>
       </div>
-    </div>
-  `).join('') || '<div class="item-meta">Add sellers to begin</div>';
+    `;
+  }).join('') || '<div class="item-meta">No products yet. Type a product name on seller items (e.g. "Basmati rice") to compare sellers that supply it.</div>';
   
-  if (selectedSellerId) await selectSeller(selectedSellerId, true);
-  await updateHeaderStats();
+  if (comparingProductId) await renderProductComparison();
 }
 
-window.selectSeller = async (id, keepQty = false) => {
-  selectedSellerId = id;
+// Product shown in the comparison modal
+let comparingProductId = null;
+
+window.openProductComparison = async (id) => {
+  comparingProductId = id;
+  document.getElementById('compareDate').value = todayISO();
+  await renderProductComparison();
+  document.getElementById('compareModal').classList.remove('hidden');
+};
+
+async function renderProductComparison() {
+  const product = (await getData(COLLECTIONS.PRODUCTS)).find(p => p.id === comparingProductId);
+  if (!product) {
+    comparingProductId = null;
+    closeModal('compareModal');
+    return;
+  }
+  
   const sellers = await getData(COLLECTIONS.SELLERS);
-  const s = sellers.find(x => x.id === id);
+  const date = document.getElementById('compareDate').value || todayISO();
+  const offers = productOffers(sellers, product.id, date, product.unit);
+  const unit = unitLabel(product.unit);
   
-  if (!s) {
-    alert('Seller not found. Please refresh the page.');
-    await renderPurchaseTab();
-    return;
+  document.getElementById('compareTitle').textContent = `${product.name} — price per ${unit}`;
+  document.getElementById('compareTable').innerHTML = offers.length ? `
+    <table class="bill-table">
+      <thead><tr><th>Seller</th><th>Item</th><th>Per ${unit}</th><th>Seller's price</th><th>Price history</th></tr></thead>
+      <tbody>
+        ${offers.map((o, i) => `
+          <tr${i === 0 ? ' class="cheapest-row"' : ''}>
+            <td>${o.sellerName}${i === 0 ? ' <span class="status-chip paid">cheapest</span>' : ''}</td>
+            <td>${o.item.name}</td>
+            <td>${formatRs(o.price)}${i > 0 ? ` <span class="item-meta">(+${formatRs(o.price - offers[0].price)})</span>` : ''}</td>
+            <td>${formatRs(priceOn(o.item, date))}/${unitLabel(o.item.unit)}</td>
+            <td class="item-meta">${(o.item.priceHistory || []).map(h => `${h.effectiveFrom || 'earlier'}: ${formatRs(h.price)}`).join(', ') || 'No changes'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  ` : '<div class="item-meta">No seller items are linked to this product in a comparable unit.</div>';
+}
+
+window.renameProduct = async (id) => {
+  if (!requireOwner()) return;
+  const products = await getData(COLLECTIONS.PRODUCTS);
+  const product = products.find(p => p.id === id);
+  if (!product) return;
+  
+  const name = (prompt('Product name', product.name) || '').trim();
+  if (!name || name === product.name) return;
+  if (products.some(p => p.id !== id && p.name.toLowerCase() === name.toLowerCase())) {
+    return alert(`There is already a product called "${name}"`);
   }
   
-  document.getElementById('chatHeader').textContent = s.name;
-  const chatItems = document.getElementById('chatItems');
+  try {
+    await updateData(COLLECTIONS.PRODUCTS, id, { name, updatedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error renaming product:', error);
+    alert('Error renaming product: ' + error.message);
+  }
+};
+
+// Deleting a product unlinks its seller items; the items themselves stay
+window.deleteProduct = async (id) => {
+  if (!requireOwner()) return;
+  const product = (await getData(COLLECTIONS.PRODUCTS)).find(p => p.id === id);
+  if (!product || !confirm(`Delete the product "${product.name}"? Seller items linked to it are kept but no longer compared.`)) return;
+  
+  try {
+    const sellers = await getData(COLLECTIONS.SELLERS, { includeDeleted: true });
+    await commitAtomic([
+      ...sellers.filter(s => (s.items || []).some(it => it.productId === id)).map(s => ({
+        type: 'update',
+        collection: COLLECTIONS.SELLERS,
+        id: s.id,
+        data: { items: s.items.map(it => it.productId === id ? { ...it, productId: '' } : it) }
+      })),
+      { type: 'delete', collection: COLLECTIONS.PRODUCTS, id }
+    ]);
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    alert('Error deleting product: ' + error.message);
+  }
+};
+
+// Trash
+let toastTimer = null;
+
+// Brief notice with an Undo button right after a deletion
+function showUndoToast(message, onUndo) {
+  const toast = document.getElementById('toast');
+  toast.innerHTML = `<span>${message}</span><button class="btn-secondary">Undo</button>`;
+  toast.classList.remove('hidden');
   
-  if (!keepQty) pendingCart = {};
+  clearTimeout(toastTimer);
+  const hide = () => toast.classList.add('hidden');
+  toast.querySelector('button').addEventListener('click', async () => {
+    clearTimeout(toastTimer);
+    hide();
+    try {
+      await onUndo();
+    } catch (error) {
+      console.error('Error undoing delete:', error);
+      alert('Error undoing delete: ' + error.message);
+    }
+  });
+  toastTimer = setTimeout(hide, 8000);
+}
+
+// Progress notice for long batched writes (shares the toast element)
+function showProgress(message) {
+  clearTimeout(toastTimer);
+  const toast = document.getElementById('toast');
+  toast.innerHTML = `<span>${message}</span>`;
+  toast.classList.remove('hidden');
+}
+
+function hideProgress() {
+  document.getElementById('toast').classList.add('hidden');
+}
+
+// The seller comes back with its purchases in one batch; deleteSeller keeps them within one
+async function restoreSeller(id) {
+  const purchases = await getData(COLLECTIONS.PURCHASES, { includeDeleted: true });
+  await commitAtomic([
+    ...purchases.filter(p => p.deletedWithSeller === id)
+      .map(p => ({ type: 'update', collection: COLLECTIONS.PURCHASES, id: p.id, data: { deletedAt: null, deletedWithSeller: null } })),
+    { type: 'update', collection: COLLECTIONS.SELLERS, id, data: { deletedAt: null, archived: false } }
+  ]);
+}
+
+async function restorePurchase(id) {
+  await updateData(COLLECTIONS.PURCHASES, id, { deletedAt: null, deletedWithSeller: null });
+}
+
+async function renderTrash() {
+  const sellers = (await getData(COLLECTIONS.SELLERS, { includeDeleted: true })).filter(s => s.deletedAt);
+  const purchases = (await getData(COLLECTIONS.PURCHASES, { includeDeleted: true })).filter(p => p.deletedAt);
+  const byDeletion = (a,b) => b.deletedAt.localeCompare(a.deletedAt);
   
-  chatItems.innerHTML = (s.items || []).map(it => {
-    const qty = pendingCart[it.itemId] || 0;
+  const sellerHtml = sellers.sort(byDeletion).map(s => {
+    const count = purchases.filter(p => p.deletedWithSeller === s.id).length;
     return `
-      <div class="chat-item">
-        <img src="${it.photo || 'image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjQiIGhlaWdodD0iNjQiIHZpZXdCb3g9IjAgMCA2NCA2NCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjY0IiBoZWlnaHQ9IjY0IiBmaWxsPSIjMGIxMjIwIi8+Cjx0ZXh0IHg9IjMyIiB5PSIzNiIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iIzk0YTNiOCIgZm9udC1zaXplPSIxMCI+Tm8gSW1hZ2U8L3RleHQ+Cjwvc3ZnPgo='}" 
-             alt="${it.name}"
-             loading="lazy"/>
+      <div class="bill-row">
         <div>
-          <div style="font-weight:700">${it.name}</div>
-          <div class="item-meta">${formatRs(it.price)} ${it.code ? '• ' + it.code : ''}</div>
+          <div style="font-weight:700">${s.name} ${s.archived ? '<span class="status-chip">archived</span>' : ''}</div>
+          <div class="item-meta">Deleted ${new Date(s.deletedAt).toLocaleString()} • ${(s.items || []).length} items • ${count} purchase(s) deleted with it</div>
         </div>
-        <div class="qty-controls">
-          <button class="btn-secondary" onclick="changeQty('${it.itemId}', -1)">-</button>
-          <input type="number" min="0" value="${qty}" onchange="setQty('${it.itemId}', this.value)"/>
-          <button class="btn-secondary" onclick="changeQty('${it.itemId}', 1)">+</button>
+        <div></div>
+        <div style="display:flex; gap:6px;">
+          <button class="btn-secondary" onclick="restoreFromTrash('seller', '${s.id}')">Restore</button>
+          ${s.archived ? '' : `<button class="btn-secondary" onclick="purgeFromTrash('seller', '${s.id}')">Delete permanently</button>`}
         </div>
       </div>
     `;
-  }).join('') || '<div class="item-meta" style="padding:10px">No items for this seller</div>';
+  }).join('');
   
-  await renderCartFooter();
-};
+  // Purchases deleted along with a seller are restored or purged with it
+  const purchaseHtml = purchases.filter(p => !p.deletedWithSeller).sort(byDeletion).map(p => `
+    <div class="bill-row">
+      <div>
+        <div style="font-weight:700">${p.sellerName} • ${p.date}</div>
+        <div class="item-meta">Deleted ${new Date(p.deletedAt).toLocaleString()} • ${entryText(p)}</div>
+      </div>
+      <div>${formatRs(purchaseTotal(p))}</div>
+      <div style="display:flex; gap:6px;">
+        <button class="btn-secondary" onclick="restoreFromTrash('purchase', '${p.id}')">Restore</button>
+        <button class="btn-secondary" onclick="purgeFromTrash('purchase', '${p.id}')">Delete permanently</button>
+      </div>
+    </div>
+  `).join('');
+  
+  document.getElementById('trashSellers').innerHTML = sellerHtml || '<div class="item-meta">No deleted sellers</div>';
+  document.getElementById('trashPurchases').innerHTML = purchaseHtml || '<div class="item-meta">No deleted purchases</div>';
+}
 
-window.changeQty = async (itemId, delta) => {
-  const v = Math.max(0, (pendingCart[itemId] || 0) + delta);
-  pendingCart[itemId] = v;
-  await selectSeller(selectedSellerId, true);
+window.restoreFromTrash = async (type, id) => {
+  if (!requireOwner()) return;
+  try {
+    if (type === 'seller') await restoreSeller(id);
+    else await restorePurchase(id);
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    alert('Error restoring: ' + error.message);
+  }
 };
 
-window.setQty = async (itemId, val) => {
-  const v = Math.max(0, parseInt(val || 0, 10));
-  pendingCart[itemId] = v;
-  await renderCartFooter();
+window.purgeFromTrash = async (type, id) => {
+  if (!requireOwner()) return;
+  
+  if (type === 'seller') {
+    const seller = (await getData(COLLECTIONS.SELLERS, { includeDeleted: true })).find(s => s.id === id);
+    if (!seller || !seller.deletedAt) return;
+    if (seller.archived) return alert('This seller has billed purchases and can only be archived.');
+    if (!confirm(`Permanently delete ${seller.name} and the purchases deleted with it? This cannot be undone.`)) return;
+  } else if (!confirm('Permanently delete this purchase? This cannot be undone.')) {
+    return;
+  }
+  if (!(await autoBackup('permanent delete'))) return;
+  
+  try {
+    const purchases = await getData(COLLECTIONS.PURCHASES, { includeDeleted: true });
+    if (type === 'seller') {
+      // Everything that belongs to the seller goes in one batch with it
+      const templates = await getData(COLLECTIONS.TEMPLATES);
+      const recurring = await getData(COLLECTIONS.RECURRING);
+      const budgets = await getData(COLLECTIONS.BUDGETS);
+      await commitAtomic([
+        ...purchases.filter(p => p.deletedWithSeller === id && !p.billed)
+          .map(p => ({ type: 'delete', collection: COLLECTIONS.PURCHASES, id: p.id })),
+        ...templates.filter(t => t.sellerId === id)
+          .map(t => ({ type: 'delete', collection: COLLECTIONS.TEMPLATES, id: t.id })),
+        ...recurring.filter(r => r.sellerId === id)
+          .map(r => ({ type: 'delete', collection: COLLECTIONS.RECURRING, id: r.id })),
+        ...budgets.filter(b => b.scope === 'seller' && b.target === id)
+          .map(b => ({ type: 'delete', collection: COLLECTIONS.BUDGETS, id: b.id })),
+        { type: 'delete', collection: COLLECTIONS.SELLERS, id }
+      ]);
+    } else {
+      const purchase = purchases.find(p => p.id === id);
+      if (!purchase || !purchase.deletedAt) return;
+      if (purchase.billed) return alert('Billed purchases cannot be deleted.');
+      await deleteData(COLLECTIONS.PURCHASES, id);
+    }
+  } catch (error) {
+    console.error('Error deleting permanently:', error);
+    alert('Error deleting permanently: ' + error.message);
+  }
 };
 
-async function renderCartFooter() {
+// Bills functionality
+// Date range picked in the Bills tab (this week, this month or custom); null if custom dates are missing
+function selectedPeriodRange() {
+  const period = document.getElementById('billPeriod').value;
+  if (period !== 'custom') return { period, ...periodRange(period, todayISO(), weekStartsOn()) };
+  
+  const from = document.getElementById('fromDate').value;
+  const to = document.getElementById('toDate').value;
+  return from && to ? { period, from, to } : null;
+}
+
+async function generateBill() {
+  if (!requireOwner()) return;
+  const range = selectedPeriodRange();
+  if (!range) return alert('Select custom dates');
+  const { period, from, to } = range;
+  
+  const all = await getData(COLLECTIONS.PURCHASES);
+  const filtered = all.filter(p => !p.billed && inRange(p, from, to));
+  
+  if (filtered.length === 0) {
+    alert('No unbilled purchases in range');
+    return;
+  }
+
   const sellers = await getData(COLLECTIONS.SELLERS);
-  const s = sellers.find(x => x.id === selectedSellerId);
+  const bill = buildBill(filtered, period, from, to, sellers, businessSettings);
+  if (bill.purchaseIds.length > MAX_BILL_ENTRIES) {
+    alert(`This range has ${bill.purchaseIds.length} unbilled entries, but one bill can cover at most ${MAX_BILL_ENTRIES}. Pick a shorter range and bill the rest separately.`);
+    return;
+  }
+  if (bill.total < 0) {
+    alert(`Returns and credit notes in this range come to more than the purchases (${formatRs(bill.total)}). Pick a longer range so they are billed against later purchases.`);
+    return;
+  }
+  currentBill = bill;
+  openBillModal(currentBill);
+}
+
+// Discount on the whole draft bill, e.g. 5% or ₹200, shared between its sellers
+async function applyBillDiscount() {
+  if (!requireOwner() || !currentBill || currentBill.id) return;
+  const answer = prompt('Discount on the whole bill (e.g. 5% or 200). Leave blank for none.', formatDiscount(currentBill.discount));
+  if (answer === null) return;
   
-  if (!s) return;
+  let discount;
+  try {
+    discount = parseDiscount(answer);
+  } catch (error) {
+    return alert(error.message);
+  }
   
-  let total = 0;
-  Object.entries(pendingCart).forEach(([itemId, qty]) => {
-    const it = (s.items || []).find(i => i.itemId === itemId);
-    if (it) total += qty * Number(it.price);
+  const purchases = (await getData(COLLECTIONS.PURCHASES)).filter(p => currentBill.purchaseIds.includes(p.id));
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const bill = buildBill(purchases, currentBill.period, currentBill.from, currentBill.to, sellers, businessSettings, discount);
+  if (bill.total < 0) {
+    alert(`With this discount the bill would come to ${formatRs(bill.total)}. Enter a smaller discount.`);
+    return;
+  }
+  currentBill = bill;
+  openBillModal(currentBill);
+}
+
+function renderBillHTML(bill) {
+  const cell = 'border: 1px solid #ddd; padding: 8px;';
+  const num = `${cell} text-align: right;`;
+  const title = bill.billNumber ? `Tax Invoice #${bill.billNumber}` : 'Tax Invoice (Draft)';
+  const recipient = bill.recipient || {};
+  
+  let html = `<div style="padding: 10px;"><div style="margin-bottom:12px; font-size: 16px;"><strong>${title}</strong></div>`;
+  html += `<div style="margin-bottom:8px; color: #666;">${bill.invoiceDate ? `Invoice date: ${bill.invoiceDate} • ` : ''}Period: ${bill.from} to ${bill.to}</div>`;
+  if (recipient.name || recipient.gstin) {
+    html += `<div style="margin-bottom:8px; color: #666;">Bill to: <strong>${recipient.name || ''}</strong>${recipient.gstin ? ` • GSTIN ${recipient.gstin}` : ''}${recipient.address ? `<br/>${recipient.address}` : ''}</div>`;
+  }
+  
+  if (bill.status === 'void') {
+    html += `<div style="margin-bottom:8px; color: #ef4444; font-weight: bold;">VOID${bill.voidedAt ? ' (' + new Date(bill.voidedAt).toLocaleString() + ')' : ''}</div>`;
+  }
+  
+  (bill.sellers || []).forEach(seller => {
+    html += `<h3 style="margin:15px 0 8px 0; color: #333; border-bottom: 1px solid #ddd; padding-bottom: 4px;">${seller.sellerName}</h3>`;
+    html += `<div style="margin-bottom:6px; color: #666; font-size: 13px;">${seller.gstin ? `GSTIN ${seller.gstin}` : 'Unregistered seller'} • ${seller.interState ? 'Inter-state supply (IGST)' : 'Intra-state supply (CGST + SGST)'}</div>`;
+    // The discount column only shows when some line had one
+    const discounted = (seller.items || []).some(item => item.discount > 0);
+    const adjusted = (seller.returns || []).length || (seller.credits || []).length || seller.discount > 0;
+    html += `<table class="bill-table" style="width: 100%; border-collapse: collapse; margin: 8px 0;">
+      <thead><tr style="background: #f8f9fa;"><th style="${cell} text-align: left;">Item</th><th style="${cell} text-align: left;">HSN</th><th style="${cell} text-align: left;">Date-wise Qty</th><th style="${num}">Rate</th>${discounted ? `<th style="${num}">Discount</th>` : ''}<th style="${num}">GST</th><th style="${num}">Taxable Value</th><th style="${num}">Amount</th></tr></thead><tbody>`;
+      
+    (seller.items || []).forEach(item => {
+      const lines = (item.lines || []).map(l => `${l.date}: ${formatQty(l.qty, l.unit)}`).join(', ');
+      
+      html += `<tr>
+        <td style="${cell}">${item.name}</td>
+        <td style="${cell}">${item.hsn || ''}</td>
+        <td style="${cell}">${lines}</td>
+        <td style="${num}">${formatAmount(item.price)}/${unitLabel(item.unit)}</td>
+        ${discounted ? `<td style="${num}">${item.discount ? formatAmount(-item.discount) : ''}</td>` : ''}
+        <td style="${num}">${Number(item.gstRate || 0)}%</td>
+        <td style="${num}">${formatAmount(item.taxable ?? item.amount)}</td>
+        <td style="${num}">${formatAmount(item.amount)}</td>
+      </tr>`;
+    });
+    
+    html += `<tr style="background: #e8f4fd; font-weight: bold;"><td colspan="${discounted ? 7 : 6}" style="${cell} text-align:right;"><strong>${adjusted ? 'Goods Total' : 'Seller Total'}</strong></td><td style="${num}">${formatAmount(adjusted ? seller.goods : seller.total)}</td></tr>`;
+    html += `</tbody></table>`;
+    
+    if ((seller.returns || []).length) {
+      html += `<div style="margin: 10px 0 4px; font-weight: bold; color: #333;">Returns</div>`;
+      html += `<table class="bill-table" style="width: 100%; border-collapse: collapse; margin: 4px 0 8px;">
+        <thead><tr style="background: #fdf2f2;"><th style="${cell} text-align: left;">Date</th><th style="${cell} text-align: left;">Item</th><th style="${cell} text-align: left;">Qty</th><th style="${num}">Rate</th><th style="${cell} text-align: left;">Reason</th><th style="${num}">GST</th><th style="${num}">Taxable Value</th><th style="${num}">Amount</th></tr></thead><tbody>`;
+      seller.returns.forEach(r => {
+        html += `<tr>
+          <td style="${cell}">${r.date}</td>
+          <td style="${cell}">${r.name}</td>
+          <td style="${cell}">${formatQty(r.qty, r.qtyUnit)}</td>
+          <td style="${num}">${formatAmount(r.price)}/${unitLabel(r.unit)}</td>
+          <td style="${cell}">${r.reason || ''}</td>
+          <td style="${num}">${Number(r.gstRate || 0)}%</td>
+          <td style="${num}">${formatAmount(-r.taxable)}</td>
+          <td style="${num}">${formatAmount(-r.amount)}</td>
+        </tr>`;
+      });
+      html += `</tbody></table>`;
+    }
+    
+    if ((seller.credits || []).length) {
+      html += `<div style="margin: 10px 0 4px; font-weight: bold; color: #333;">Credit Notes</div>`;
+      html += `<table class="bill-table" style="width: 100%; border-collapse: collapse; margin: 4px 0 8px;">
+        <thead><tr style="background: #fdf2f2;"><th style="${cell} text-align: left;">Date</th><th style="${cell} text-align: left;">Reason</th><th style="${num}">Amount</th></tr></thead><tbody>`;
+      seller.credits.forEach(c => {
+        html += `<tr><td style="${cell}">${c.date}</td><td style="${cell}">${c.reason || ''}</td><td style="${num}">${formatAmount(-c.amount)}</td></tr>`;
+      });
+      html += `</tbody></table>`;
+    }
+    
+    // Goods less returns, credit notes and this seller's share of the bill discount
+    if (adjusted) {
+      const summary = [
+        ['Goods', seller.goods],
+        ['Less returns', -seller.returnsTotal],
+        ['Less credit notes', -seller.creditsTotal],
+        [`Less bill discount${bill.discount ? ` (${formatDiscount(bill.discount)})` : ''}`, -seller.discount]
+      ].filter(([, amount]) => amount);
+      html += `<table class="bill-table" style="width: 100%; border-collapse: collapse; margin: 8px 0;"><tbody>`;
+      summary.forEach(([label, amount]) => {
+        html += `<tr><td style="${cell} text-align:right;">${label}</td><td style="${num} width: 140px;">${formatAmount(amount)}</td></tr>`;
+      });
+      html += `<tr style="background: #e8f4fd; font-weight: bold;"><td style="${cell} text-align:right;"><strong>Seller Total</strong></td><td style="${num} width: 140px;">${formatAmount(seller.total)}</td></tr>`;
+      html += `</tbody></table>`;
+    }
+    
+    // Tax summary per rate slab
+    if ((seller.taxSummary || []).length) {
+      html += `<table class="bill-table" style="width: 100%; border-collapse: collapse; margin: 8px 0; font-size: 13px;">
+        <thead><tr style="background: #f8f9fa;"><th style="${cell} text-align: left;">GST Rate</th><th style="${num}">Taxable Value</th>${seller.interState ? `<th style="${num}">IGST</th>` : `<th style="${num}">CGST</th><th style="${num}">SGST</th>`}<th style="${num}">Total Tax</th></tr></thead><tbody>`;
+      seller.taxSummary.forEach(slab => {
+        html += `<tr>
+          <td style="${cell}">${slab.rate}%</td>
+          <td style="${num}">${formatAmount(slab.taxable)}</td>
+          ${seller.interState
+            ? `<td style="${num}">${formatAmount(slab.igst)}</td>`
+            : `<td style="${num}">${formatAmount(slab.cgst)} (${slab.rate / 2}%)</td><td style="${num}">${formatAmount(slab.sgst)} (${slab.rate / 2}%)</td>`}
+          <td style="${num}">${formatAmount(slab.tax)}</td>
+        </tr>`;
+      });
+      html += `</tbody></table>`;
+    }
+    html += `<div style="margin-bottom: 8px; font-size: 13px; color: #666;">${amountInWords(seller.total)}</div>`;
   });
   
-  const footer = document.getElementById('chatFooter');
-  footer.innerHTML = `
-    <div class="total-chip">Total: ${formatRs(total)}</div>
-    <div style="display:flex; gap:8px;">
-      <button class="btn-secondary" onclick="clearCart()">Clear</button>
-      <button class="btn-primary" onclick="savePurchase()">Save</button>
-    </div>
-  `;
+  const generatedOn = bill.createdAt ? new Date(bill.createdAt) : new Date();
+  html += `<div style="margin-top: 15px; padding: 10px; background: #f0f8ff; border: 1px solid #b8daff; border-radius: 4px;">`;
+  if (bill.tax !== undefined) {
+    html += `<div>Taxable Value: ${formatAmount(bill.taxable)} • Total GST: ${formatAmount(bill.tax)}</div>`;
+  }
+  if (bill.discountAmount) {
+    html += `<div>Bill discount${bill.discount ? ` (${formatDiscount(bill.discount)})` : ''}: ${formatAmount(-bill.discountAmount)}</div>`;
+  }
+  html += `<strong>Grand Total: ${formatAmount(bill.total)}</strong><div style="font-size: 13px; margin-top: 4px;">${amountInWords(bill.total)}</div></div>`;
+  html += `<div style="margin-top: 10px; font-size: 12px; color: #666;">Generated on: ${generatedOn.toLocaleString()}</div>`;
+  html += `</div>`;
+  return html;
+}
+
+function openBillModal(bill) {
+  document.getElementById('billPreview').innerHTML = renderBillHTML(bill);
+  
+  // PDF can cover the whole bill or a single seller
+  const sellers = bill.sellers || [];
+  const scope = document.getElementById('billPdfScope');
+  scope.innerHTML = `<option value="">${sellers.length > 1 ? 'All sellers (combined)' : 'Whole bill'}</option>` + (sellers.length > 1
+    ? sellers.map(s => `<option value="${s.sellerId}">${s.sellerName} only</option>`).join('')
+    : '');
+  scope.classList.toggle('hidden', sellers.length < 2);
+
+  // Saved bills can only be printed; drafts can be discounted and saved
+  document.getElementById('markBilledBtn').classList.toggle('hidden', !!bill.id);
+  document.getElementById('billDiscountBtn').classList.toggle('hidden', !!bill.id);
+  document.getElementById('billModal').classList.remove('hidden');
+}
+
+async function downloadBill() {
+  if (!currentBill) return;
+  const sellerId = document.getElementById('billPdfScope').value || null;
+  
+  const btn = document.getElementById('downloadPdfBtn');
+  const originalText = btn.textContent;
+  btn.textContent = 'Generating PDF...';
+  btn.disabled = true;
+  
+  try {
+    await generateBillPdf(currentBill, sellerId);
+  } catch (error) {
+    console.error('Error generating PDF:', error);
+    alert('Error generating PDF: ' + error.message);
+  } finally {
+    btn.textContent = originalText;
+    btn.disabled = false;
+  }
+}
+
+// PDF generation
+// The built-in PDF fonts have no rupee glyph, so amounts are written as "Rs."
+const pdfAmount = (n) => `${n < 0 ? '-' : ''}Rs. ${Math.abs(Number(n || 0)).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const fileNamePart = (text) => String(text || '').trim().replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'Seller';
+
+// Bill-<seller>-<from>-<to>.pdf, or Bill-Combined-... when every seller is included
+function billPdfFileName(bill, sellerId) {
+  const seller = (bill.sellers || []).find(s => s.sellerId === sellerId);
+  const who = seller ? seller.sellerName : (bill.sellers || []).length === 1 ? bill.sellers[0].sellerName : 'Combined';
+  return `Bill-${fileNamePart(who)}-${bill.from}-${bill.to}.pdf`;
+}
+
+// A4 tax invoice: business header and page-numbered footer on every page, table headers repeat on page breaks
+async function generateBillPdf(bill, sellerId = null) {
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  
+  const sellers = (bill.sellers || []).filter(s => !sellerId || s.sellerId === sellerId);
+  const business = bill.recipient?.name ? bill.recipient : businessSettings;
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const margin = 14;
+  const contentTop = 36;
+  const contentBottom = 20;
+  const tableMargin = { top: contentTop, bottom: contentBottom, left: margin, right: margin };
+  
+  let y = contentTop;
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - contentBottom) {
+      pdf.addPage();
+      y = contentTop;
+    }
+  };
+  
+  sellers.forEach(seller => {
+    ensureSpace(30);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.text(seller.sellerName, margin, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.text(`${seller.gstin ? `GSTIN ${seller.gstin}` : 'Unregistered seller'} - ${seller.interState ? 'Inter-state supply (IGST)' : 'Intra-state supply (CGST + SGST)'}`, margin, y + 5);
+    
+    const discounted = (seller.items || []).some(item => item.discount > 0);
+    const adjusted = (seller.returns || []).length || (seller.credits || []).length || seller.discount > 0;
+    const head = ['Item', 'HSN', 'Date-wise Qty', 'Rate', ...(discounted ? ['Discount'] : []), 'GST', 'Taxable Value', 'Amount'];
+    autoTable(pdf, {
+      startY: y + 8,
+      margin: tableMargin,
+      showHead: 'everyPage',
+      showFoot: 'lastPage',
+      theme: 'grid',
+      styles: { fontSize: 8, cellPadding: 1.5 },
+      headStyles: { fillColor: [37, 99, 235] },
+      footStyles: { fillColor: [232, 244, 253], textColor: 20 },
+      columnStyles: Object.fromEntries(head.slice(3).map((_, i) => [i + 3, { halign: 'right' }])),
+      head: [head],
+      body: (seller.items || []).map(item => [
+        item.name,
+        item.hsn || '',
+        (item.lines || []).map(l => `${l.date}: ${formatQty(l.qty, l.unit)}`).join(', '),
+        `${pdfAmount(item.price)}/${unitLabel(item.unit)}`,
+        ...(discounted ? [item.discount ? pdfAmount(-item.discount) : ''] : []),
+        `${Number(item.gstRate || 0)}%`,
+        pdfAmount(item.taxable ?? item.amount),
+        pdfAmount(item.amount)
+      ]),
+      foot: [[{ content: adjusted ? 'Goods Total' : 'Seller Total', colSpan: head.length - 1, styles: { halign: 'right' } }, { content: pdfAmount(adjusted ? seller.goods : seller.total), styles: { halign: 'right' } }]]
+    });
+    y = pdf.lastAutoTable.finalY + 4;
+    
+    // Returns and credit notes get their own tables, then goods less everything taken off
+    const section = (label) => {
+      ensureSpace(14);
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(9);
+      pdf.text(label, margin, y + 3);
+      pdf.setFont('helvetica', 'normal');
+      y += 5;
+    };
+    if ((seller.returns || []).length) {
+      section('Returns');
+      autoTable(pdf, {
+        startY: y,
+        margin: tableMargin,
+        showHead: 'everyPage',
+        theme: 'grid',
+        styles: { fontSize: 8, cellPadding: 1.5 },
+        headStyles: { fillColor: [185, 28, 28] },
+        columnStyles: { 3: { halign: 'right' }, 5: { halign: 'right' }, 6: { halign: 'right' }, 7: { halign: 'right' } },
+        head: [['Date', 'Item', 'Qty', 'Rate', 'Reason', 'GST', 'Taxable Value', 'Amount']],
+        body: seller.returns.map(r => [
+          r.date,
+          r.name,
+          formatQty(r.qty, r.qtyUnit),
+          `${pdfAmount(r.price)}/${unitLabel(r.unit)}`,
+          r.reason || '',
+          `${Number(r.gstRate || 0)}%`,
+          pdfAmount(-r.taxable),
+          pdfAmount(-r.amount)
+        ])
+      });
+      y = pdf.lastAutoTable.finalY + 4;
+    }
+    if ((seller.credits || []).length) {
+      section('Credit Notes');
+      autoTable(pdf, {
+        startY: y,
+        margin: tableMargin,
+        showHead: 'everyPage',
+        theme: 'grid',
+        styles: { fontSize: 8, cellPadding: 1.5 },
+        headStyles: { fillColor: [185, 28, 28] },
+        columnStyles: { 2: { halign: 'right' } },
+        head: [['Date', 'Reason', 'Amount']],
+        body: seller.credits.map(c => [c.date, c.reason || '', pdfAmount(-c.amount)])
+      });
+      y = pdf.lastAutoTable.finalY + 4;
+    }
+    if (adjusted) {
+      autoTable(pdf, {
+        startY: y,
+        margin: tableMargin,
+        theme: 'grid',
+        styles: { fontSize: 8, cellPadding: 1.5, halign: 'right' },
+        columnStyles: { 1: { cellWidth: 40 } },
+        body: [
+          ['Goods', seller.goods],
+          ['Less returns', -seller.returnsTotal],
+          ['Less credit notes', -seller.creditsTotal],
+          [`Less bill discount${bill.discount ? ` (${bill.discount.type === 'percent' ? bill.discount.value + '%' : pdfAmount(bill.discount.value)})` : ''}`, -seller.discount]
+        ].filter(([, amount]) => amount).map(([label, amount]) => [label, pdfAmount(amount)]),
+        foot: [['Seller Total', pdfAmount(seller.total)]],
+        footStyles: { fillColor: [232, 244, 253], textColor: 20, halign: 'right' }
+      });
+      y = pdf.lastAutoTable.finalY + 4;
+    }
+    
+    if ((seller.taxSummary || []).length) {
+      autoTable(pdf, {
+        startY: y,
+        margin: tableMargin,
+        showHead: 'everyPage',
+        theme: 'grid',
+        styles: { fontSize: 8, cellPadding: 1.5, halign: 'right' },
+        headStyles: { fillColor: [100, 116, 139] },
+        head: [seller.interState
+          ? ['GST Rate', 'Taxable Value', 'IGST', 'Total Tax']
+          : ['GST Rate', 'Taxable Value', 'CGST', 'SGST', 'Total Tax']],
+        body: seller.taxSummary.map(slab => seller.interState
+          ? [`${slab.rate}%`, pdfAmount(slab.taxable), pdfAmount(slab.igst), pdfAmount(slab.tax)]
+          : [`${slab.rate}%`, pdfAmount(slab.taxable), pdfAmount(slab.cgst), pdfAmount(slab.sgst), pdfAmount(slab.tax)])
+      });
+      y = pdf.lastAutoTable.finalY + 4;
+    }
+    
+    const words = pdf.splitTextToSize(amountInWords(seller.total), pageWidth - margin * 2);
+    ensureSpace(words.length * 4 + 6);
+    pdf.setFontSize(9);
+    pdf.text(words, margin, y + 2);
+    y += words.length * 4 + 8;
+  });
+  
+  // Totals block
+  const taxable = round2(sellers.reduce((s,x) => s + (x.taxable ?? x.total), 0));
+  const tax = round2(sellers.reduce((s,x) => s + (x.tax || 0), 0));
+  const total = sumAmounts(sellers.map(x => x.total));
+  const words = pdf.splitTextToSize(amountInWords(total), pageWidth - margin * 2 - 8);
+  const boxHeight = 16 + words.length * 4;
+  ensureSpace(boxHeight + 4);
+  pdf.setDrawColor(184, 218, 255);
+  pdf.setFillColor(240, 248, 255);
+  pdf.rect(margin, y, pageWidth - margin * 2, boxHeight, 'FD');
+  pdf.setFontSize(9);
+  const discount = sumAmounts(sellers.map(x => x.discount || 0));
+  pdf.text(`Taxable Value: ${pdfAmount(taxable)}    Total GST: ${pdfAmount(tax)}${discount ? `    Bill discount: ${pdfAmount(-discount)}` : ''}`, margin + 4, y + 6);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(11);
+  pdf.text(`Grand Total: ${pdfAmount(total)}`, margin + 4, y + 12);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.text(words, margin + 4, y + 17);
+  
+  // Header and footer on every page
+  const pages = pdf.getNumberOfPages();
+  const title = bill.billNumber ? `Tax Invoice ${bill.billNumber}` : 'Tax Invoice (Draft)';
+  const generatedOn = (bill.createdAt ? new Date(bill.createdAt) : new Date()).toLocaleString();
+  
+  for (let i = 1; i <= pages; i++) {
+    pdf.setPage(i);
+    pdf.setTextColor(20);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(14);
+    pdf.text(business.name || 'Purchase Tracker', margin, 14);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    const details = [business.gstin ? `GSTIN ${business.gstin}` : '', business.address || ''].filter(Boolean);
+    pdf.text(details, margin, 19);
+    
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(11);
+    pdf.text(title, pageWidth - margin, 14, { align: 'right' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.text([
+      bill.invoiceDate ? `Invoice date: ${bill.invoiceDate}` : '',
+      `Period: ${bill.from} to ${bill.to}`,
+      bill.status === 'void' ? 'VOID' : ''
+    ].filter(Boolean), pageWidth - margin, 19, { align: 'right' });
+    pdf.setDrawColor(200);
+    pdf.line(margin, 29, pageWidth - margin, 29);
+    
+    pdf.line(margin, pageHeight - 14, pageWidth - margin, pageHeight - 14);
+    pdf.text(`Generated on ${generatedOn}`, margin, pageHeight - 9);
+    pdf.text(`Page ${i} of ${pages}`, pageWidth - margin, pageHeight - 9, { align: 'right' });
+  }
+  
+  pdf.save(billPdfFileName(bill, sellerId));
+}
+
+async function markAsBilled() {
+  if (!requireOwner()) return;
+  if (!currentBill || currentBill.id || currentBill.purchaseIds.length === 0) {
+    alert('No purchases to mark as billed');
+    return;
+  }
+  if (currentBill.purchaseIds.length > MAX_BILL_ENTRIES) {
+    alert(`One bill can cover at most ${MAX_BILL_ENTRIES} entries. Generate it again for a shorter range.`);
+    return;
+  }
+
+  if (!confirm(`Save bill and mark ${currentBill.purchaseIds.length} purchases as billed?`)) {
+    return;
+  }
+
+  try {
+    // Make sure nobody billed these purchases since the preview was generated
+    const purchases = await getData(COLLECTIONS.PURCHASES);
+    const alreadyBilled = purchases.filter(p => currentBill.purchaseIds.includes(p.id) && p.billed);
+    if (alreadyBilled.length > 0) {
+      alert(`${alreadyBilled.length} of these purchases were billed in the meantime. Please generate the bill again.`);
+      closeModal('billModal');
+      return;
+    }
+
+    const bills = await getData(COLLECTIONS.BILLS);
+    const now = new Date().toISOString();
+    const invoiceDate = todayISO();
+    const fy = financialYear(invoiceDate);
+    const id = newDocId(COLLECTIONS.BILLS);
+    let bill;
+
+    // The number is taken from the year's counter on the server, in one transaction with the bill
+    // and its purchases, so two devices never issue the same one. Bills numbered before the counter
+    // existed count too. The rules only let a purchase be marked billed in the batch that creates its bill.
+    await repo.commitWith(BILL_COUNTERS, fy, (counter) => {
+      const billSeq = Math.max(counter?.last || 0, lastBillSeq(bills, fy)) + 1;
+      const billData = { ...currentBill, billNumber: formatBillNumber(fy, billSeq), billSeq, invoiceDate, status: 'active', createdAt: now };
+      bill = { ...billData, id };
+      return sanitizeOps([
+        { type: 'set', collection: BILL_COUNTERS, id: fy, data: { last: billSeq } },
+        { type: 'set', collection: COLLECTIONS.BILLS, id, data: billData },
+        ...bill.purchaseIds.map(purchaseId => ({
+          type: 'update',
+          collection: COLLECTIONS.PURCHASES,
+          id: purchaseId,
+          data: { billed: true, billedAt: now, billId: id }
+        }))
+      ]);
+    });
+    
+    currentBill = bill;
+    alert(`Bill ${bill.billNumber} saved!`);
+    closeModal('billModal');
+  } catch (error) {
+    console.error('Error marking as billed:', error);
+    alert('Error marking as billed: ' + error.message);
+  }
 }
 
-window.clearCart = async () => {
-  pendingCart = {};
-  await selectSeller(selectedSellerId, true);
+window.viewBill = async (id) => {
+  const bills = await getData(COLLECTIONS.BILLS);
+  const bill = bills.find(b => b.id === id);
+  if (!bill) {
+    alert('Bill not found. Please refresh the page.');
+    return;
+  }
+  currentBill = bill;
+  openBillModal(bill);
 };
 
-window.savePurchase = async () => {
-  if (!selectedSellerId) return alert('Select a seller');
-  
-  const date = document.getElementById('purchaseDate').value || todayISO();
-  const sellers = await getData(COLLECTIONS.SELLERS);
-  const s = sellers.find(x => x.id === selectedSellerId);
+window.downloadSavedBill = async (id) => {
+  await viewBill(id);
+  if (currentBill && currentBill.id === id) downloadBill();
+};
+
+window.voidBill = async (id) => {
+  if (!requireOwner()) return;
+  const bills = await getData(COLLECTIONS.BILLS);
+  const bill = bills.find(b => b.id === id);
+  if (!bill) return alert('Bill not found. Please refresh the page.');
+  if (bill.status === 'void') return alert('This bill is already void');
   
-  if (!s) return alert('Seller not found. Please refresh the page.');
+  const payments = (await getData(COLLECTIONS.PAYMENTS)).filter(p => p.billId === id);
+  const paymentNote = payments.length ? ` ${payments.length} payment(s) recorded against it will stay on the seller's account.` : '';
   
-  const items = Object.entries(pendingCart)
-    .filter(([_, q]) => q > 0)
-    .map(([itemId, qty]) => {
-      const it = (s.items || []).find(i => i.itemId === itemId);
-      if (!it) return null;
-      return { 
-        itemId: itemId, 
-        name: it.name, 
-        price: Number(it.price),
-        qty: Number(qty)
-      };
-    })
-    .filter(item => item !== null);
-    
-  if (items.length === 0) return alert('No quantities selected');
+  if (!confirm(`Void bill ${bill.billNumber}? Its ${(bill.purchaseIds || []).length} purchases will become unbilled again.${paymentNote}`)) return;
   
   try {
-    await setData(COLLECTIONS.PURCHASES, {
-      sellerId: s.id,
-      sellerName: s.name,
-      date: date,
-      items: items,
-      billed: false,
-      createdAt: new Date().toISOString()
-    });
+    const purchases = await getData(COLLECTIONS.PURCHASES);
+    // Only release purchases that still belong to this bill
+    const billPurchases = purchases.filter(p => (bill.purchaseIds || []).includes(p.id) && (!p.billId || p.billId === id));
     
-    pendingCart = {};
-    await selectSeller(selectedSellerId, true);
-    await updateHeaderStats();
-    alert('Purchase saved successfully!');
+    // A void bill can't be voided again, so the bill and its purchases must change together
+    await commitAtomic([
+      { type: 'update', collection: COLLECTIONS.BILLS, id, data: { status: 'void', voidedAt: new Date().toISOString() } },
+      ...billPurchases.map(p => ({
+        type: 'update',
+        collection: COLLECTIONS.PURCHASES,
+        id: p.id,
+        data: { billed: false, billedAt: null, billId: null }
+      }))
+    ]);
+    
+    alert(`Bill ${bill.billNumber} voided`);
   } catch (error) {
-    console.error('Error saving purchase:', error);
-    alert('Error saving purchase: ' + error.message);
+    console.error('Error voiding bill:', error);
+    alert('Error voiding bill: ' + error.message);
   }
 };
 
-// Bills functionality
-async function generateBill() {
-  const period = document.getElementById('billPeriod').value;
-  const today = todayISO();
-  let from = weekStart(today), to = weekEnd(today);
-  
-  if (period === 'month') {
-    const d = new Date(today);
-    from = new Date(d.getFullYear(), d.getMonth(), 1).toISOString().slice(0,10);
-    to = new Date(d.getFullYear(), d.getMonth()+1, 0).toISOString().slice(0,10);
-  } else if (period === 'custom') {
-    from = document.getElementById('fromDate').value;
-    to = document.getElementById('toDate').value;
-    if (!from || !to) return alert('Select custom dates');
+// Exports
+// Rows for each export type, as arrays with a header row first
+async function buildExportSheets(type, from, to) {
+  if (type === 'purchases') {
+    const purchases = (await getData(COLLECTIONS.PURCHASES))
+      .filter(p => p.date >= from && p.date <= to)
+      .sort((a,b) => a.date.localeCompare(b.date) || a.sellerName.localeCompare(b.sellerName));
+    const sellers = await getData(COLLECTIONS.SELLERS);
+    
+    // Returns and credit notes are negative, so the Amount column adds up to the net spend
+    const rows = [['Date', 'Seller', 'Type', 'Item', 'Code', 'Qty', 'Unit', 'Rate', 'Rate Unit', 'Discount', 'Amount', 'Billed']];
+    purchases.forEach(p => {
+      const seller = sellers.find(s => s.id === p.sellerId);
+      const type = ENTRY_TYPES[p.type || 'purchase'];
+      if (p.type === 'credit') {
+        rows.push([p.date, p.sellerName, type, p.reason || '', '', '', '', '', '', '', -round2(p.amount), p.billed ? 'Yes' : 'No']);
+      }
+      (p.items || []).forEach(it => {
+        const code = (seller?.items || []).find(i => i.itemId === it.itemId)?.code || '';
+        const sign = p.type === 'return' ? -1 : 1;
+        const discount = sumAmounts([lineGross(it), -lineAmount(it)]);
+        rows.push([p.date, p.sellerName, type, it.name, code, sign * it.qty, it.qtyUnit || it.unit || DEFAULT_UNIT, it.price, it.unit || DEFAULT_UNIT, sign * discount, sign * lineAmount(it), p.billed ? 'Yes' : 'No']);
+      });
+    });
+    return [{ name: 'Purchases', rows }];
   }
   
-  const all = await getData(COLLECTIONS.PURCHASES);
-  const filtered = all.filter(p => !p.billed && p.date >= from && p.date <= to);
-  
-  if (filtered.length === 0) {
-    alert('No unbilled purchases in range');
-    return;
+  if (type === 'bills') {
+    // Bills whose period overlaps the range
+    const bills = (await getData(COLLECTIONS.BILLS))
+      .filter(b => b.from <= to && b.to >= from)
+      .sort((a,b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    
+    const rows = [['Bill No', 'Invoice Date', 'From', 'To', 'Status', 'Seller', 'Seller GSTIN', 'Item', 'HSN', 'Qty', 'Unit', 'Rate', 'GST %', 'Taxable Value', 'Tax', 'Amount']];
+    bills.forEach(b => {
+      (b.sellers || []).forEach(seller => {
+        (seller.items || []).forEach(item => {
+          rows.push([
+            b.billNumber, b.invoiceDate || (b.createdAt || '').slice(0,10), b.from, b.to, b.status,
+            seller.sellerName, seller.gstin || '', item.name, item.hsn || '', item.qty, item.unit || DEFAULT_UNIT, item.price,
+            Number(item.gstRate || 0), item.taxable ?? item.amount, item.tax || 0, item.amount
+          ]);
+        });
+        // Returns, credit notes and the bill discount as negative rows
+        const billRow = (item, hsn, qty, unit, price, gstRate, taxable, tax, amount) => rows.push([
+          b.billNumber, b.invoiceDate || (b.createdAt || '').slice(0,10), b.from, b.to, b.status,
+          seller.sellerName, seller.gstin || '', item, hsn, qty, unit, price, gstRate, taxable, tax, amount
+        ]);
+        (seller.returns || []).forEach(r => billRow(`Return: ${r.name}`, r.hsn || '', -r.qty, r.qtyUnit, r.price, Number(r.gstRate || 0), -r.taxable, -r.tax, -r.amount));
+        (seller.credits || []).forEach(c => billRow(`Credit note${c.reason ? ': ' + c.reason : ''}`, '', '', '', '', '', '', '', -c.amount));
+        if (seller.discount) billRow('Bill discount', '', '', '', '', '', '', '', -seller.discount);
+      });
+    });
+    return [{ name: 'Bills', rows }];
   }
+  
+  // Seller catalogs: one sheet per seller (CSV flattens them with a seller column)
+  const sellers = (await getData(COLLECTIONS.SELLERS)).sort((a,b) => a.name.localeCompare(b.name));
+  return sellers.map(seller => ({
+    name: seller.name,
+    rows: [
+      ['Seller', 'Contact', 'Item', 'Code', 'Price', 'Unit', 'HSN', 'GST %', 'Category', 'Tags'],
+      ...(seller.items || []).map(it => [
+        seller.name, seller.contact || '', it.name, it.code || '', it.price, it.unit || DEFAULT_UNIT,
+        it.hsn || '', Number(it.gstRate || 0), it.category || '', (it.tags || []).join(', ')
+      ])
+    ]
+  }));
+}
 
-  const bySeller = {};
-  filtered.forEach(p => {
-    bySeller[p.sellerId] = bySeller[p.sellerId] || { sellerName: p.sellerName, items: {} };
-    (p.items || []).forEach(it => {
-      const key = it.itemId;
-      bySeller[p.sellerId].items[key] = bySeller[p.sellerId].items[key] || { name: it.name, price: it.price, lines: [] };
-      bySeller[p.sellerId].items[key].lines.push({ date: p.date, qty: it.qty, amount: it.qty * it.price });
-    });
-  });
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const toCSV = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n');
 
-  lastGeneratedBillIds = filtered.map(p => p.id);
-  openBillModal(renderBillHTML(bySeller, from, to));
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-function renderBillHTML(bySeller, from, to) {
-  let html = `<div style="padding: 10px;"><div style="margin-bottom:12px; font-size: 16px;"><strong>Purchase Bill</strong></div><div style="margin-bottom:8px; color: #666;">Period: ${from} to ${to}</div>`;
+async function exportData() {
+  if (!requireOwner()) return;
+  const type = document.getElementById('exportType').value;
+  const format = document.getElementById('exportFormat').value;
   
-  let grandTotal = 0;
-  Object.entries(bySeller).forEach(([sellerId, data]) => {
-    let sellerTotal = 0;
-    html += `<h3 style="margin:15px 0 8px 0; color: #333; border-bottom: 1px solid #ddd; padding-bottom: 4px;">${data.sellerName}</h3>`;
-    html += `<table class="bill-table" style="width: 100%; border-collapse: collapse; margin: 8px 0;">
-      <thead><tr style="background: #f8f9fa;"><th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Item</th><th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Date-wise Qty</th><th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Rate</th><th style="border: 1px solid #ddd; padding: 8px; text-align: right;">Amount</th></tr></thead><tbody>`;
-      
-    Object.values(data.items).forEach(item => {
-      const lines = item.lines
-        .sort((a,b) => a.date.localeCompare(b.date))
-        .map(l => `${l.date}: ${l.qty}`).join(', ');
-      const amount = item.lines.reduce((s,x) => s + x.amount, 0);
-      sellerTotal += amount;
-      
-      html += `<tr>
-        <td style="border: 1px solid #ddd; padding: 8px;">${item.name}</td>
-        <td style="border: 1px solid #ddd; padding: 8px;">${lines}</td>
-        <td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatRs(item.price)}</td>
-        <td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatRs(amount)}</td>
-      </tr>`;
-    });
+  const range = selectedPeriodRange();
+  if (!range && type !== 'catalogs') return alert('Select custom dates');
+  const { from, to } = range || {};
+  
+  try {
+    const sheets = await buildExportSheets(type, from, to);
+    if (sheets.every(sheet => sheet.rows.length <= 1)) return alert('Nothing to export for this range');
     
-    html += `<tr style="background: #e8f4fd; font-weight: bold;"><td colspan="3" style="border: 1px solid #ddd; padding: 8px; text-align:right;"><strong>Seller Total</strong></td><td style="border: 1px solid #ddd; padding: 8px; text-align: right;">${formatRs(sellerTotal)}</td></tr>`;
-    html += `</tbody></table>`;
-    grandTotal += sellerTotal;
-  });
+    const baseName = type === 'catalogs' ? 'Seller-Catalogs' : `${type === 'bills' ? 'Bills' : 'Purchases'}-${from}-${to}`;
+    
+    if (format === 'xlsx') {
+      const XLSX = await import('xlsx');
+      const workbook = XLSX.utils.book_new();
+      const usedNames = new Set();
+      sheets.forEach(sheet => {
+        // Sheet names: max 31 chars, no []:*?/\ and unique
+        let name = sheet.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 28) || 'Sheet';
+        while (usedNames.has(name)) name = `${name.slice(0, 25)}-${usedNames.size}`;
+        usedNames.add(name);
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet.rows), name);
+      });
+      XLSX.writeFile(workbook, `${baseName}.xlsx`);
+    } else {
+      // Several sheets share one header, so CSV keeps the first and appends the rest
+      const rows = [sheets[0].rows[0], ...sheets.flatMap(sheet => sheet.rows.slice(1))];
+      // BOM so Excel opens the UTF-8 file with the right encoding
+      downloadBlob(new Blob(['\ufeff' + toCSV(rows)], { type: 'text/csv;charset=utf-8' }), `${baseName}.csv`);
+    }
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    alert('Error exporting: ' + error.message);
+  }
+}
+
+// Payments
+function renderBalances(balances) {
+  const rows = Object.values(balances)
+    .filter(b => b.purchased || b.paid)
+    .sort((a,b) => b.outstanding - a.outstanding);
   
-  html += `<div style="margin-top: 15px; padding: 10px; background: #f0f8ff; border: 1px solid #b8daff; border-radius: 4px;"><strong>Grand Total: ${formatRs(grandTotal)}</strong></div>`;
-  html += `<div style="margin-top: 10px; font-size: 12px; color: #666;">Generated on: ${new Date().toLocaleString()}</div>`;
+  let html = `<div class="seller-card"><div class="section-header" style="margin:0 0 8px;"><h3 style="margin:0;">Seller Balances</h3><div style="display:flex; gap:6px;"><button class="btn-secondary" onclick="openCreditNoteModal()">+ Credit Note</button><button class="btn-primary" onclick="openPaymentModal()">+ Record Payment</button></div></div>`;
+  html += rows.map(b => `
+    <div class="bill-row">
+      <div>
+        <div style="font-weight:700">${b.sellerName}</div>
+        <div class="item-meta">Unbilled ${formatRs(b.unbilled)} • Billed unpaid ${formatRs(Math.max(0, b.billedUnpaid))} • Paid ${formatRs(b.paid)}</div>
+      </div>
+      <div>${b.outstanding < 0 ? `Advance ${formatRs(-b.outstanding)}` : formatRs(b.outstanding)}</div>
+      <div style="display:flex; gap:6px;">
+        <button class="btn-secondary" onclick="openPaymentModal('${b.sellerId}')">Pay</button>
+        <button class="btn-secondary" onclick="openCreditNoteModal('${b.sellerId}')">Credit</button>
+        <button class="btn-secondary" onclick="openStatement('${b.sellerId}')">Statement</button>
+      </div>
+    </div>
+  `).join('') || '<div class="item-meta">No purchases yet</div>';
   html += `</div>`;
   return html;
 }
 
-function openBillModal(innerHTML) {
-  document.getElementById('billPreview').innerHTML = innerHTML;
-  document.getElementById('billModal').classList.remove('hidden');
-}
+window.openPaymentModal = async (sellerId = '', billId = '') => {
+  if (!requireOwner()) return;
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const sellerSelect = document.getElementById('paymentSeller');
+  
+  sellerSelect.innerHTML = '<option value="">Select seller</option>' + sellers
+    .map(s => `<option value="${s.id}">${s.name}</option>`)
+    .join('');
+  
+  document.getElementById('paymentForm').reset();
+  sellerSelect.value = sellerId;
+  document.getElementById('paymentDate').value = todayISO();
+  await fillPaymentBills(billId);
+  
+  document.getElementById('paymentModal').classList.remove('hidden');
+};
 
-function downloadBill() {
-  const w = window.open('', '_blank');
-  w.document.write(`<html><head><title>Purchase Bill</title><style>
-    body { font-family: Arial, sans-serif; margin: 20px; color: #333; }
-    table { width: 100%; border-collapse: collapse; margin: 10px 0; }
-    th, td { border: 1px solid #ccc; padding: 8px; text-align: left; }
-    th { background-color: #f5f5f5; font-weight: bold; }
-    h3 { color: #333; margin: 20px 0 10px 0; border-bottom: 2px solid #eee; padding-bottom: 5px; }
-    tr:nth-child(even) { background-color: #f9f9f9; }
-    .total-row { background-color: #e8f4fd !important; font-weight: bold; }
-  </style></head><body>${document.getElementById('billPreview').innerHTML}</body></html>`);
-  w.document.close();
-  w.focus();
-  w.print();
+// Offer the seller's active bills that still have something due
+async function fillPaymentBills(billId = '') {
+  const sellerId = document.getElementById('paymentSeller').value;
+  const bills = await getData(COLLECTIONS.BILLS);
+  const payments = await getData(COLLECTIONS.PAYMENTS);
+  const billSelect = document.getElementById('paymentBill');
+  
+  const open = bills
+    .filter(b => b.status !== 'void' && (b.sellerIds || []).includes(sellerId))
+    .filter(b => b.id === billId || billDue(b, sellerId, payments) > 0);
+  
+  billSelect.innerHTML = '<option value="">On account (no specific bill)</option>' + open
+    .map(b => `<option value="${b.id}">${b.billNumber} • due ${formatRs(billDue(b, sellerId, payments))}</option>`)
+    .join('');
+  billSelect.value = open.some(b => b.id === billId) ? billId : '';
+  
+  if (billSelect.value) {
+    const bill = open.find(b => b.id === billSelect.value);
+    document.getElementById('paymentAmount').value = Math.max(0, billDue(bill, sellerId, payments));
+  }
 }
 
-async function markAsBilled() {
-  if (lastGeneratedBillIds.length === 0) {
-    alert('No purchases to mark as billed');
-    return;
+async function handlePaymentSubmit(e) {
+  e.preventDefault();
+  if (!requireOwner()) return;
+  
+  const sellerId = document.getElementById('paymentSeller').value;
+  const billId = document.getElementById('paymentBill').value;
+  const amount = Number(document.getElementById('paymentAmount').value);
+  const date = document.getElementById('paymentDate').value;
+  const mode = document.getElementById('paymentMode').value;
+  const reference = document.getElementById('paymentReference').value.trim();
+  
+  if (!sellerId) return alert('Select a seller');
+  if (!(amount > 0)) return alert('Enter an amount greater than zero');
+  if (!date) return alert('Select a payment date');
+  
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const seller = sellers.find(s => s.id === sellerId);
+  if (!seller) return alert('Seller not found. Please refresh the page.');
+  
+  if (billId) {
+    const bills = await getData(COLLECTIONS.BILLS);
+    const payments = await getData(COLLECTIONS.PAYMENTS);
+    const bill = bills.find(b => b.id === billId);
+    const due = bill ? billDue(bill, sellerId, payments) : 0;
+    if (amount > due && !confirm(`This is more than the ${formatRs(due)} due on ${bill ? bill.billNumber : 'the bill'}. Record it anyway?`)) return;
   }
-
-  if (!confirm(`Mark ${lastGeneratedBillIds.length} purchases as billed?`)) {
-    return;
+  
+  try {
+    await setData(COLLECTIONS.PAYMENTS, {
+      sellerId,
+      sellerName: seller.name,
+      billId: billId || null,
+      amount,
+      date,
+      mode,
+      reference,
+      createdAt: new Date().toISOString()
+    });
+    closeModal('paymentModal');
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    alert('Error recording payment: ' + error.message);
   }
+}
+
+// Credit notes
+// A seller's credit (for short supply, a rate difference, ...) is kept with the purchases
+// so it comes off the next bill like a return does
+window.openCreditNoteModal = async (sellerId = '') => {
+  if (!requireOwner()) return;
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const sellerSelect = document.getElementById('creditNoteSeller');
+  
+  sellerSelect.innerHTML = '<option value="">Select seller</option>' + sellers
+    .map(s => `<option value="${s.id}">${s.name}</option>`)
+    .join('');
+  
+  document.getElementById('creditNoteForm').reset();
+  sellerSelect.value = sellerId;
+  document.getElementById('creditNoteDate').value = todayISO();
+  document.getElementById('creditNoteModal').classList.remove('hidden');
+};
 
+async function handleCreditNoteSubmit(e) {
+  e.preventDefault();
+  if (!requireOwner()) return;
+  
+  const sellerId = document.getElementById('creditNoteSeller').value;
+  const amount = round2(document.getElementById('creditNoteAmount').value);
+  const date = document.getElementById('creditNoteDate').value;
+  const reason = document.getElementById('creditNoteReason').value.trim();
+  
+  if (!sellerId) return alert('Select a seller');
+  if (!(amount > 0)) return alert('Enter an amount greater than zero');
+  if (!date) return alert('Select a date');
+  
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const seller = sellers.find(s => s.id === sellerId);
+  if (!seller) return alert('Seller not found. Please refresh the page.');
+  
   try {
-    for (const purchaseId of lastGeneratedBillIds) {
-      await updateData(COLLECTIONS.PURCHASES, purchaseId, { 
-        billed: true,
-        billedAt: new Date().toISOString()
-      });
-    }
-    
-    alert('Successfully marked as billed!');
-    closeModal('billModal');
-    await renderBillsTab();
-    await updateHeaderStats();
-    await renderAnalytics();
+    await setData(COLLECTIONS.PURCHASES, {
+      sellerId,
+      sellerName: seller.name,
+      date,
+      type: 'credit',
+      amount,
+      reason,
+      items: [],
+      billed: false,
+      createdAt: new Date().toISOString()
+    });
+    closeModal('creditNoteModal');
   } catch (error) {
-    console.error('Error marking as billed:', error);
-    alert('Error marking as billed: ' + error.message);
+    console.error('Error recording credit note:', error);
+    alert('Error recording credit note: ' + error.message);
   }
 }
 
+window.deletePayment = async (id, sellerId) => {
+  if (!requireOwner()) return;
+  if (!confirm('Delete this payment?')) return;
+  
+  try {
+    await deleteData(COLLECTIONS.PAYMENTS, id);
+    await openStatement(sellerId);
+  } catch (error) {
+    console.error('Error deleting payment:', error);
+    alert('Error deleting payment: ' + error.message);
+  }
+};
+
+// Statement of purchases, bills and payments with a running balance owed to the seller.
+// Purchases add to the balance; returns, credit notes, bill discounts and payments reduce it.
+// Bills otherwise only group purchases already counted.
+window.openStatement = async (sellerId) => {
+  const purchases = (await getData(COLLECTIONS.PURCHASES)).filter(p => p.sellerId === sellerId);
+  const bills = (await getData(COLLECTIONS.BILLS)).filter(b => (b.sellerIds || []).includes(sellerId));
+  const payments = (await getData(COLLECTIONS.PAYMENTS)).filter(p => p.sellerId === sellerId);
+  const sellerName = purchases[0]?.sellerName || payments[0]?.sellerName || 'Seller';
+  
+  const entries = [
+    ...purchases.map(p => ({
+      date: p.date,
+      order: 0,
+      kind: ENTRY_TYPES[p.type || 'purchase'],
+      detail: entryText(p),
+      debit: Math.max(0, purchaseTotal(p)),
+      credit: Math.max(0, -purchaseTotal(p))
+    })),
+    ...bills.map(b => {
+      const seller = (b.sellers || []).find(s => s.sellerId === sellerId);
+      const discount = b.status === 'void' ? 0 : seller?.discount || 0;
+      return {
+        date: (b.createdAt || b.to).slice(0,10),
+        order: 1,
+        kind: 'Bill',
+        detail: `${b.billNumber} (${b.from} to ${b.to})${b.status === 'void' ? ' — VOID' : ''} • ${formatRs(seller?.total || 0)}${discount ? ` after ${formatRs(discount)} discount` : ''}`,
+        debit: 0,
+        credit: discount
+      };
+    }),
+    ...payments.map(p => ({
+      date: p.date,
+      order: 2,
+      kind: 'Payment',
+      detail: `${PAYMENT_MODES[p.mode] || p.mode}${p.reference ? ' • ' + p.reference : ''}${p.billId ? ' • ' + (bills.find(b => b.id === p.billId)?.billNumber || 'bill') : ''}`,
+      debit: 0,
+      credit: Number(p.amount),
+      paymentId: p.id
+    }))
+  ].sort((a,b) => a.date.localeCompare(b.date) || a.order - b.order);
+  
+  let balance = 0;
+  const rows = entries.map(e => {
+    balance += e.debit - e.credit;
+    return `<tr${e.kind === 'Bill' ? ' class="statement-bill"' : ''}>
+      <td>${e.date}</td>
+      <td>${e.kind}</td>
+      <td>${e.detail}${e.paymentId ? ` <button class="btn-secondary owner-only" onclick="deletePayment('${e.paymentId}', '${sellerId}')">Delete</button>` : ''}</td>
+      <td style="text-align:right">${e.debit ? formatRs(e.debit) : ''}</td>
+      <td style="text-align:right">${e.credit ? formatRs(e.credit) : ''}</td>
+      <td style="text-align:right">${formatRs(balance)}</td>
+    </tr>`;
+  }).join('');
+  
+  document.getElementById('statementTitle').textContent = `Statement — ${sellerName}`;
+  document.getElementById('statementBody').innerHTML = `
+    <table class="bill-table">
+      <thead><tr><th>Date</th><th>Type</th><th>Details</th><th style="text-align:right">Purchases</th><th style="text-align:right">Payments</th><th style="text-align:right">Balance</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="6" class="item-meta">No activity</td></tr>'}</tbody>
+    </table>
+    <div class="total-chip" style="display:inline-block; margin-top:10px;">${balance < 0 ? `Advance: ${formatRs(-balance)}` : `Outstanding: ${formatRs(balance)}`}</div>
+  `;
+  document.getElementById('statementModal').classList.remove('hidden');
+};
+
 // Analytics and Stats
 async function renderBillsTab() {
   const container = document.getElementById('billsContainer');
   const purchases = await getData(COLLECTIONS.PURCHASES);
-  const today = todayISO();
-  const ws = weekStart(today), we = weekEnd(today);
-  
-  const weekPurchases = purchases.filter(p => p.date >= ws && p.date <= we);
-  const weekTotal = weekPurchases.reduce((s,p) => s + ((p.items || []).reduce((t,i) => t + (i.qty * i.price), 0)), 0);
-  
-  const unbilled = purchases.filter(p => !p.billed);
-  const unbilledTotal = unbilled.reduce((s,p) => s + ((p.items || []).reduce((t,i) => t + (i.qty * i.price), 0)), 0);
+  const bills = await getData(COLLECTIONS.BILLS);
+  const payments = await getData(COLLECTIONS.PAYMENTS);
+  const totals = periodTotals(purchases, todayISO(), weekStartsOn());
 
   container.innerHTML = `
     <div class="seller-card">
       <div style="display:flex; gap:12px; flex-wrap:wrap;">
-        <div class="total-chip">Unbilled Total: ${formatRs(unbilledTotal)}</div>
-        <div class="total-chip">This Week: ${formatRs(weekTotal)}</div>
+        <div class="total-chip">Unbilled Total: ${formatRs(totals.unbilled)}</div>
+        <div class="total-chip">This Week: ${formatRs(totals.week)}</div>
         <div class="total-chip">Total Purchases: ${purchases.length}</div>
       </div>
     </div>
+    ${renderBalances(sellerBalances(purchases, bills, payments))}
+    ${renderBillHistory(bills, payments)}
     ${renderPurchaseTable(purchases)}
   `;
 }
 
-function renderPurchaseTable(all) {
-  const byWeek = {};
-  const byMonth = {};
+function renderBillHistory(bills, payments) {
+  const sorted = [...bills].sort((a,b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  
+  let html = `<div class="seller-card"><h3>Past Bills</h3>`;
+  html += sorted.map(b => {
+    const due = sumAmounts((b.sellerIds || []).map(sellerId => billDue(b, sellerId, payments)));
+    const paymentChip = b.status === 'void' ? ''
+      : due <= 0 ? ' <span class="status-chip paid">PAID</span>'
+      : due < b.total ? ` <span class="status-chip unbilled">Due ${formatRs(due)}</span>`
+      : '';
+    // Payments against a bill are recorded per seller, so only single-seller bills get a shortcut
+    const payButton = b.status !== 'void' && due > 0 && (b.sellerIds || []).length === 1
+      ? `<button class="btn-secondary owner-only" onclick="openPaymentModal('${b.sellerIds[0]}', '${b.id}')">Pay</button>`
+      : '';
+    return `
+    <div class="bill-row${b.status === 'void' ? ' void' : ''}">
+      <div>
+        <div style="font-weight:700">${b.billNumber}${b.status === 'void' ? ' <span class="status-chip void">VOID</span>' : ''}${paymentChip}</div>
+        <div class="item-meta">${b.from} to ${b.to} • ${(b.sellers || []).map(s => s.sellerName).join(', ')}</div>
+      </div>
+      <div>${formatRs(b.total)}</div>
+      <div style="display:flex; gap:6px;">
+        <button class="btn-secondary" onclick="viewBill('${b.id}')">View</button>
+        <button class="btn-secondary" onclick="downloadSavedBill('${b.id}')">PDF</button>
+        ${payButton}
+        ${b.status !== 'void' ? `<button class="btn-secondary owner-only" onclick="voidBill('${b.id}')">Void</button>` : ''}
+      </div>
+    </div>
+  `;
+  }).join('') || '<div class="item-meta">No bills yet. Generate a bill and save it.</div>';
+  html += `</div>`;
   
-  all.forEach(p => {
-    const ws = weekStart(p.date), we = weekEnd(p.date);
-    const wkKey = `${ws}—${we}`;
-    byWeek[wkKey] = byWeek[wkKey] || 0;
-    byWeek[wkKey] += (p.items || []).reduce((s,i) => s + (i.qty * i.price), 0);
+  return html;
+}
 
-    const m = p.date.slice(0,7);
-    byMonth[m] = byMonth[m] || 0;
-    byMonth[m] += (p.items || []).reduce((s,i) => s + (i.qty * i.price), 0);
-  });
+function renderPurchaseTable(all) {
+  const byWeek = totalsBy(all, p => weekKey(p, weekStartsOn()));
+  const byMonth = totalsBy(all, monthKey);
 
   let html = `<div class="seller-card"><h3>Recent Weeks</h3>`;
   html += Object.entries(byWeek).sort().reverse().slice(0,5).map(([k,v]) => `<div class="item-meta">${k}: ${formatRs(v)}</div>`).join('') || '<div class="item-meta">No data</div>';
@@ -876,18 +4092,13 @@ function renderPurchaseTable(all) {
 async function renderAnalytics() {
   const purchases = await getData(COLLECTIONS.PURCHASES);
   const sellers = await getData(COLLECTIONS.SELLERS);
-  const today = todayISO();
-  const ws = weekStart(today), we = weekEnd(today);
-  const weekPurchases = purchases.filter(p => p.date >= ws && p.date <= we);
-
-  const totalWeek = weekPurchases.reduce((s,p) => s + ((p.items || []).reduce((t,i) => t + (i.qty * i.price), 0)), 0);
-  document.getElementById('weeklySummary').innerHTML = `<div class="total-chip">This Week: ${formatRs(totalWeek)}</div><div class="item-meta">Active Sellers: ${sellers.length}</div>`;
+  renderTrends(purchases, sellers, await getData(COLLECTIONS.PRODUCTS));
+  await renderBudgetReport(purchases, sellers);
+  
+  const totals = periodTotals(purchases, todayISO(), weekStartsOn());
+  document.getElementById('weeklySummary').innerHTML = `<div class="total-chip">This Week: ${formatRs(totals.week)}</div><div class="item-meta">Active Sellers: ${sellers.length}</div>`;
 
-  const bySeller = {};
-  purchases.forEach(p => {
-    bySeller[p.sellerName] = bySeller[p.sellerName] || 0;
-    bySeller[p.sellerName] += (p.items || []).reduce((s,i) => s + (i.qty * i.price), 0);
-  });
+  const bySeller = totalsBy(purchases, p => p.sellerName);
   
   document.getElementById('topSellers').innerHTML = Object.entries(bySeller)
     .sort((a,b) => b[1]-a[1])
@@ -895,37 +4106,288 @@ async function renderAnalytics() {
     .map(([name,total]) => `<div class="item-meta">${name}: ${formatRs(total)}</div>`)
     .join('') || '<div class="item-meta">No purchase data</div>';
 
-  const unbilled = purchases.filter(p => !p.billed);
-  const unbilledBy = {};
-  unbilled.forEach(p => {
-    unbilledBy[p.sellerName] = unbilledBy[p.sellerName] || 0;
-    unbilledBy[p.sellerName] += (p.items || []).reduce((s,i) => s + (i.qty * i.price), 0);
-  });
+  const unbilledBy = totalsBy(purchases.filter(p => !p.billed), p => p.sellerName);
   
   document.getElementById('unbilledBySeller').innerHTML = Object.entries(unbilledBy)
     .sort((a,b) => b[1]-a[1])
     .map(([name,total]) => `<div class="item-meta">${name}: ${formatRs(total)}</div>`)
     .join('') || '<div class="item-meta">All purchases billed</div>';
+
+  const bills = await getData(COLLECTIONS.BILLS);
+  const payments = await getData(COLLECTIONS.PAYMENTS);
+  const balances = Object.values(sellerBalances(purchases, bills, payments));
+  
+  document.getElementById('billedUnpaidBySeller').innerHTML = balances
+    .filter(b => b.billedUnpaid > 0)
+    .sort((a,b) => b.billedUnpaid - a.billedUnpaid)
+    .map(b => `<div class="item-meta">${b.sellerName}: ${formatRs(b.billedUnpaid)}</div>`)
+    .join('') || '<div class="item-meta">All bills paid</div>';
+  
+  document.getElementById('outstandingBySeller').innerHTML = balances
+    .filter(b => b.outstanding !== 0)
+    .sort((a,b) => b.outstanding - a.outstanding)
+    .map(b => `<div class="item-meta">${b.sellerName}: ${b.outstanding < 0 ? `advance ${formatRs(-b.outstanding)}` : formatRs(b.outstanding)}</div>`)
+    .join('') || '<div class="item-meta">Nothing outstanding</div>';
+}
+
+// Seller items by itemId. Categories and tags are read from here rather than from purchase lines,
+// so re-categorising an item applies to past purchases too.
+function itemCatalog(sellers) {
+  const catalog = {};
+  sellers.forEach(s => (s.items || []).forEach(it => { catalog[it.itemId] = { ...it, sellerName: s.name }; }));
+  return catalog;
+}
+
+const categoryOf = (catalog) => (line) => catalog[line.itemId]?.category || 'Uncategorised';
+
+// Trend charts for the chosen range, against the range of the same length just before it
+function renderTrends(purchases, sellers, products) {
+  const fromInput = document.getElementById('analyticsFrom');
+  const toInput = document.getElementById('analyticsTo');
+  if (!fromInput.value || !toInput.value) {
+    toInput.value = todayISO();
+    fromInput.value = addDays(toInput.value, -29);
+  }
+  if (fromInput.value > toInput.value) [fromInput.value, toInput.value] = [toInput.value, fromInput.value];
+  const from = fromInput.value;
+  const to = toInput.value;
+  const granularity = document.getElementById('analyticsGranularity').value;
+  const compare = document.getElementById('analyticsCompare').checked;
+  const previous = previousRange(from, to);
+  
+  const catalog = itemCatalog(sellers);
+  
+  const tagSelect = document.getElementById('analyticsTag');
+  const tags = [...new Set(Object.values(catalog).flatMap(it => it.tags || []))].sort();
+  const tag = tags.includes(tagSelect.value) ? tagSelect.value : '';
+  tagSelect.innerHTML = `<option value="">All tags</option>` + tags.map(t => `<option value="${t}" ${t === tag ? 'selected' : ''}>#${t}</option>`).join('');
+  
+  const keep = (line) => !tag || (catalog[line.itemId]?.tags || []).includes(tag);
+  const lines = linesInRange(purchases, from, to, keep);
+  const previousLines = compare ? linesInRange(purchases, previous.from, previous.to, keep) : [];
+  
+  // Spend over time
+  const total = sumAmounts(lines.map(l => l.amount));
+  const previousTotal = sumAmounts(previousLines.map(l => l.amount));
+  const change = percentChange(total, previousTotal);
+  document.getElementById('analyticsSummary').innerHTML = `
+    <div class="total-chip" style="display:inline-block">Total: ${formatRs(total)}</div>
+    ${compare ? `<span class="item-meta">Previous period (${previous.from} to ${previous.to}): ${formatRs(previousTotal)}
+      ${change === null ? '' : `<span class="${change > 0 ? 'change-up' : 'change-down'}">${change > 0 ? '▲' : '▼'} ${Math.abs(change)}%</span>`}</span>` : ''}
+  `;
+  const label = granularity === 'month' ? (key) => key : (key) => key.slice(5);
+  document.getElementById('spendChart').innerHTML = lines.length || previousLines.length
+    ? lineChart(spendSeries(lines, from, to, granularity, weekStartsOn()), {
+      previous: compare ? spendSeries(previousLines, previous.from, previous.to, granularity, weekStartsOn()) : null,
+      format: formatRs,
+      label
+    })
+    : '<div class="item-meta">No purchases in this range</div>';
+  
+  // Breakdowns, with a tick where each bar stood in the previous period
+  const breakdownRows = (keyOf, limit) => {
+    const before = compare ? spendBreakdown(previousLines, keyOf) : [];
+    return spendBreakdown(lines, keyOf).slice(0, limit).map(({ key, value }) => ({
+      label: key,
+      value,
+      ...(compare ? { previous: before.find(b => b.key === key)?.value || 0 } : {})
+    }));
+  };
+  const categoryRows = breakdownRows(categoryOf(catalog), 12);
+  document.getElementById('categoryChart').innerHTML = categoryRows.length
+    ? barChart(categoryRows, { format: formatRs })
+    : '<div class="item-meta">No purchases in this range</div>';
+  const itemRows = breakdownRows((line, p) => `${line.name} (${p.sellerName})`, 10);
+  document.getElementById('itemChart').innerHTML = itemRows.length
+    ? barChart(itemRows, { format: formatRs })
+    : '<div class="item-meta">No purchases in this range</div>';
+  
+  // Potential savings from buying each product at its cheapest seller
+  const savings = potentialSavings(lines, sellers);
+  document.getElementById('savingsReport').innerHTML = savings.products.length
+    ? `<div class="total-chip" style="display:inline-block; margin-bottom:8px;">Could have saved ${formatRs(savings.total)}</div>` +
+      savings.products.map(p => `
+        <div class="item-meta">
+          ${products.find(x => x.id === p.productId)?.name || 'Removed product'}: paid ${formatRs(p.paid)},
+          ${formatRs(p.cheapest)} at ${p.sellerName} — save ${formatRs(p.saving)}
+        </div>
+      `).join('')
+    : '<div class="item-meta">No savings found. Link items of different sellers to the same product to compare them.</div>';
+  
+  // Quantity consumed of one item, in its catalog unit
+  const itemSelect = document.getElementById('analyticsItem');
+  const boughtIds = [...new Set(lines.map(l => l.line.itemId))].filter(id => catalog[id]);
+  const itemId = boughtIds.includes(itemSelect.value) ? itemSelect.value : boughtIds[0];
+  itemSelect.innerHTML = boughtIds
+    .map(id => `<option value="${id}" ${id === itemId ? 'selected' : ''}>${catalog[id].name} (${catalog[id].sellerName})</option>`)
+    .join('');
+  if (itemId) {
+    const unit = catalog[itemId].unit || DEFAULT_UNIT;
+    document.getElementById('qtyChart').innerHTML = lineChart(
+      qtySeries(lines, itemId, unit, from, to, granularity, weekStartsOn()),
+      {
+        previous: compare ? qtySeries(previousLines, itemId, unit, previous.from, previous.to, granularity, weekStartsOn()) : null,
+        format: (qty) => formatQty(roundQty(qty, 3), unit),
+        label
+      }
+    );
+  } else {
+    document.getElementById('qtyChart').innerHTML = '<div class="item-meta">No items bought in this range</div>';
+  }
 }
 
 async function updateHeaderStats() {
   const purchases = await getData(COLLECTIONS.PURCHASES);
-  const today = todayISO();
-  const ws = weekStart(today), we = weekEnd(today);
-  const m = today.slice(0,7);
+  const totals = periodTotals(purchases, todayISO(), weekStartsOn());
+
+  document.getElementById('weekTotal').textContent = formatRs(totals.week);
+  document.getElementById('monthTotal').textContent = formatRs(totals.month);
+  document.getElementById('unbilledTotal').textContent = formatRs(totals.unbilled);
+  
+  // Budget progress under the matching period's total
+  const budgets = await getData(COLLECTIONS.BUDGETS);
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const statuses = budgetStatus(budgets, purchases, todayISO(), weekStartsOn(), categoryOf(itemCatalog(sellers)));
+  ['week', 'month'].forEach(period => {
+    document.getElementById(`${period}Budgets`).innerHTML = statuses
+      .filter(st => st.budget.period === period)
+      .map(st => budgetBar(st, sellers))
+      .join('');
+  });
+}
+
+// Budgets
+const budgetName = (budget, sellers) => budget.scope === 'seller'
+  ? sellers.find(s => s.id === budget.target)?.name || 'Deleted seller'
+  : `${budget.target} (category)`;
+
+function budgetBar(status, sellers) {
+  const level = status.ratio > 1 ? 'over' : status.ratio >= 0.8 ? 'near' : '';
+  return `
+    <div class="budget-bar ${level}" title="${formatRs(status.spent)} of ${formatRs(status.budget.amount)} (${status.from} to ${status.to})">
+      <div class="budget-label"><span>${budgetName(status.budget, sellers)}</span><span>${Math.round(status.ratio * 100)}%</span></div>
+      <div class="budget-track"><div class="budget-fill" style="width:${Math.min(100, status.ratio * 100)}%"></div></div>
+    </div>
+  `;
+}
+
+// Budget against actual for the last six periods of each budget
+async function renderBudgetReport(purchases, sellers) {
+  const budgets = await getData(COLLECTIONS.BUDGETS);
+  const catalog = itemCatalog(sellers);
+  
+  document.getElementById('budgetReport').innerHTML = budgets
+    .sort((a,b) => budgetName(a, sellers).localeCompare(budgetName(b, sellers)))
+    .map(budget => {
+      const history = budgetHistory(budget, purchases, todayISO(), 6, weekStartsOn(), categoryOf(catalog));
+      return `
+        <div class="budget-report">
+          <div class="section-header" style="margin: 8px 0;">
+            <strong>${budgetName(budget, sellers)} — ${formatRs(budget.amount)} per ${budget.period}</strong>
+            <div style="display:flex; gap:6px;">
+              <button class="btn-secondary owner-only" onclick="openBudgetModal('${budget.id}')">Edit</button>
+              <button class="btn-secondary owner-only" onclick="deleteBudget('${budget.id}')">Delete</button>
+            </div>
+          </div>
+          <table class="bill-table">
+            <thead><tr><th>Period</th><th>Budget</th><th>Actual</th><th>Difference</th></tr></thead>
+            <tbody>
+              ${history.map(h => `
+                <tr${h.spent > h.amount ? ' class="over-budget"' : ''}>
+                  <td>${h.from} to ${h.to}</td>
+                  <td>${formatRs(h.amount)}</td>
+                  <td>${formatRs(h.spent)}</td>
+                  <td>${h.spent > h.amount ? `${formatRs(h.spent - h.amount)} over` : `${formatRs(h.amount - h.spent)} under`}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    }).join('') || '<div class="item-meta">No budgets. Add one to track spending per seller or category.</div>';
+}
+
+// Budget open in the budget modal (null when adding)
+let editingBudget = null;
+
+window.openBudgetModal = async (id = null) => {
+  if (!requireOwner()) return;
+  editingBudget = id ? (await getData(COLLECTIONS.BUDGETS)).find(b => b.id === id) : null;
+  const budget = editingBudget || { scope: 'seller', period: 'month', amount: '' };
+  
+  document.getElementById('budgetScope').value = budget.scope;
+  document.getElementById('budgetPeriod').value = budget.period;
+  document.getElementById('budgetAmount').value = budget.amount;
+  await fillBudgetTargets(budget.target);
+  document.getElementById('budgetModal').classList.remove('hidden');
+};
 
-  const weekPurchases = purchases.filter(p => p.date >= ws && p.date <= we);
-  const weekTotal = weekPurchases.reduce((s,p) => s + ((p.items || []).reduce((t,i) => t + (i.qty * i.price), 0)), 0);
+async function fillBudgetTargets(selected = '') {
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const options = document.getElementById('budgetScope').value === 'seller'
+    ? sellers.sort((a,b) => a.name.localeCompare(b.name)).map(s => ({ value: s.id, label: s.name }))
+    : [...new Set(['Uncategorised', ...sellers.flatMap(s => (s.items || []).map(it => it.category)).filter(Boolean)])]
+      .sort()
+      .map(c => ({ value: c, label: c }));
+  document.getElementById('budgetTarget').innerHTML = options
+    .map(o => `<option value="${o.value}" ${o.value === selected ? 'selected' : ''}>${o.label}</option>`)
+    .join('');
+}
+
+async function handleBudgetSubmit(e) {
+  e.preventDefault();
+  if (!requireOwner()) return;
   
-  const monthPurchases = purchases.filter(p => p.date.startsWith(m));
-  const monthTotal = monthPurchases.reduce((s,p) => s + ((p.items || []).reduce((t,i) => t + (i.qty * i.price), 0)), 0);
+  const budget = {
+    scope: document.getElementById('budgetScope').value,
+    target: document.getElementById('budgetTarget').value,
+    period: document.getElementById('budgetPeriod').value,
+    amount: round2(document.getElementById('budgetAmount').value),
+    updatedAt: new Date().toISOString()
+  };
+  if (!budget.target) return alert(budget.scope === 'seller' ? 'Add a seller first' : 'Choose a category');
+  if (!(budget.amount > 0)) return alert('Enter a budget amount above zero');
+  
+  try {
+    if (editingBudget) {
+      await updateData(COLLECTIONS.BUDGETS, editingBudget.id, budget);
+    } else {
+      await setData(COLLECTIONS.BUDGETS, { ...budget, createdAt: new Date().toISOString() });
+    }
+    editingBudget = null;
+    closeModal('budgetModal');
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    alert('Error saving budget: ' + error.message);
+  }
+}
+
+window.deleteBudget = async (id) => {
+  if (!requireOwner()) return;
+  if (!confirm('Delete this budget?')) return;
   
-  const unbilled = purchases.filter(p => !p.billed);
-  const unbilledTotal = unbilled.reduce((s,p) => s + ((p.items || []).reduce((t,i) => t + (i.qty * i.price), 0)), 0);
+  try {
+    await deleteData(COLLECTIONS.BUDGETS, id);
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    alert('Error deleting budget: ' + error.message);
+  }
+};
 
-  document.getElementById('weekTotal').textContent = formatRs(weekTotal);
-  document.getElementById('monthTotal').textContent = formatRs(monthTotal);
-  document.getElementById('unbilledTotal').textContent = formatRs(unbilledTotal);
+// Warnings shown before saving a purchase: budgets it takes over their amount and unusually large quantities
+async function purchaseWarnings(seller, purchase) {
+  const sellers = await getData(COLLECTIONS.SELLERS);
+  const budgets = await getData(COLLECTIONS.BUDGETS);
+  // Purchases still in the outbox count towards budgets too
+  const queued = (await getQueued(businessId)).map(e => ({ id: e.id, ...e.data }));
+  const purchases = [...(await getData(COLLECTIONS.PURCHASES)), ...queued];
+  const catalog = itemCatalog(sellers);
+  
+  const overBudget = budgetWarnings(budgets, purchases, purchase, weekStartsOn(), categoryOf(catalog)).map(w =>
+    `Over budget: ${budgetName(w.budget, sellers)} would reach ${formatRs(w.after)} of ${formatRs(w.budget.amount)} for ${w.from} to ${w.to}`);
+  const unusual = unusualQuantities(purchase.items, catalog).map(line =>
+    `Unusual quantity: ${lineText(line)} (usually at most ${formatQty(catalog[line.itemId].maxQty, line.unit)})`);
+  return [...overBudget, ...unusual];
 }
 
 // Fixed seed function that only runs once ever
@@ -934,8 +4396,9 @@ async function seedExampleData() {
   // This function intentionally does nothing
   return;
 }
-// Debug helper functions
+// Debug helper functions (owner only)
 window.debugFirestore = async () => {
+  if (!requireOwner()) return;
   console.log('=== Firestore Debug Info ===');
   const sellers = await getData(COLLECTIONS.SELLERS);
   const purchases = await getData(COLLECTIONS.PURCHASES);
@@ -944,14 +4407,18 @@ window.debugFirestore = async () => {
     console.log(`  ${i + 1}. ${s.name} (ID: ${s.id}) - ${s.items?.length || 0} items`);
   });
   console.log('Purchases:', purchases.length);
+  console.log('Bills:', (await getData(COLLECTIONS.BILLS)).length);
   console.log('Selected Seller ID:', selectedSellerId);
   console.log('Pending Cart:', pendingCart);
+  console.log('Business ID:', businessId, 'Role:', currentRole);
+  console.log('Synced collections:', store.synced);
   console.log('Seeded flag:', localStorage.getItem('purchase_tracker_seeded'));
 };
 
 window.checkSellerExists = async (sellerId) => {
+  if (!requireOwner()) return;
   console.log('Checking if seller exists in Firebase...');
-  const sellers = await getData(COLLECTIONS.SELLERS);
+  const sellers = await getData(COLLECTIONS.SELLERS, { includeDeleted: true });
   const seller = sellers.find(s => s.id === sellerId);
   
   if (seller) {
@@ -964,33 +4431,72 @@ window.checkSellerExists = async (sellerId) => {
 };
 
 window.resetApp = async () => {
-  if (!confirm('This will delete ALL data and reset the app. Are you sure?')) return;
+  if (!requireOwner()) return;
+  if (!confirm(`This will delete ALL data and reset the app. Are you sure?\n\nData is deleted ${BATCH_LIMIT} records at a time. If the reset is interrupted, part of the data is already gone: run it again to finish.`)) return;
+  if (!(await autoBackup('reset app'))) return;
   
   try {
     // Clear local storage
     localStorage.removeItem('purchase_tracker_seeded');
     
-    // Delete all sellers
-    const sellers = await getData(COLLECTIONS.SELLERS);
-    for (const seller of sellers) {
-      await deleteData(COLLECTIONS.SELLERS, seller.id);
-    }
-    
-    // Delete all purchases  
-    const purchases = await getData(COLLECTIONS.PURCHASES);
-    for (const purchase of purchases) {
-      await deleteData(COLLECTIONS.PURCHASES, purchase.id);
+    // Delete everything; dependent records go before the sellers they point at
+    const ops = [];
+    for (const name of [COLLECTIONS.BUDGETS, COLLECTIONS.PRODUCTS, COLLECTIONS.RECURRING, COLLECTIONS.TEMPLATES, COLLECTIONS.PAYMENTS, COLLECTIONS.BILLS, COLLECTIONS.PURCHASES, COLLECTIONS.SELLERS]) {
+      const docs = await getData(name, { includeDeleted: true });
+      docs.forEach(d => ops.push({ type: 'delete', collection: name, id: d.id }));
     }
+    await commitInBatches(ops, 'Resetting');
     
     alert('App reset complete! Refresh the page to start fresh.');
     location.reload();
     
   } catch (error) {
     console.error('Error resetting app:', error);
-    alert('Error resetting app: ' + error.message);
+    alert('Error resetting app: ' + error.message + '. Run the reset again to delete the rest.');
+  }
+};
+
+// Copy data from the old global (pre-business) collections into the current business
+// The rules only allow reading them once config/legacy names this business (set in the Firebase console)
+window.migrateLegacyData = async () => {
+  if (!requireOwner()) return;
+  
+  const legacy = await getDoc(doc(db, 'config', 'legacy'));
+  if (!legacy.exists() || legacy.data().businessId !== businessId) {
+    alert(`The old shared data is locked. In the Firebase console, create the document config/legacy with businessId "${businessId}", then try again, and delete it once the copy is done.`);
+    return;
+  }
+  if (!confirm('Copy sellers, purchases and bills from the old shared collections into this business?')) return;
+  
+  try {
+    for (const name of Object.values(COLLECTIONS)) {
+      const legacy = await getDocs(collection(db, name));
+      for (const legacyDoc of legacy.docs) {
+        await putData(name, legacyDoc.id, legacyDoc.data());
+      }
+      console.log(`Migrated ${legacy.size} ${name}`);
+    }
+    alert('Legacy data migrated.');
+  } catch (error) {
+    console.error('Error migrating legacy data:', error);
+    alert('Error migrating legacy data: ' + error.message);
+  }
+};
+
+// Re-run the photo migration by hand (it also runs on every owner sign-in)
+window.migratePhotosToStorage = async () => {
+  if (!requireOwner()) return;
+  try {
+    const migrated = await migratePhotosToStorage();
+    alert(`Moved ${migrated} photo(s) to Storage.`);
+  } catch (error) {
+    console.error('Error migrating photos:', error);
+    alert('Error migrating photos: ' + error.message);
   }
 };
 
+window.forceRefreshAllData = forceRefreshAllData;
+
 window.hardRefresh = () => {
   console.log('Performing hard refresh...');
   location.reload();
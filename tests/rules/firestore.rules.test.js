@@ -0,0 +1,397 @@
+// Runs against the Firestore emulator: npm run test:rules
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, writeBatch } from 'firebase/firestore';
+
+const BUSINESS = 'biz1';
+const path = (...parts) => ['businesses', BUSINESS, ...parts].join('/');
+
+const seller = (overrides = {}) => ({
+  name: 'Fresh Farms',
+  contact: '',
+  gstin: '',
+  items: [{ itemId: 'i1', name: 'Milk', price: 30 }, { itemId: 'i2', name: 'Bread', price: 45.5 }],
+  ...overrides
+});
+
+const purchase = (overrides = {}) => ({
+  sellerId: 's1',
+  sellerName: 'Fresh Farms',
+  date: '2026-10-19',
+  items: [{ itemId: 'i1', name: 'Milk', price: 30, qty: 2 }],
+  billed: false,
+  ...overrides
+});
+
+const bill = (overrides = {}) => ({
+  billNumber: 'INV/2026-27/0001',
+  billSeq: 1,
+  period: 'week',
+  from: '2026-10-19',
+  to: '2026-10-25',
+  sellers: [],
+  purchaseIds: ['p1'],
+  total: 60,
+  status: 'active',
+  ...overrides
+});
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-purchase-tracker',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, 'businesses', BUSINESS), { name: 'Test business', ownerUid: 'owner' });
+    await setDoc(doc(db, path('members', 'owner')), { role: 'owner', email: 'owner@example.com' });
+    await setDoc(doc(db, path('members', 'clerk')), { role: 'clerk', email: 'clerk@example.com' });
+    await setDoc(doc(db, path('sellers', 's1')), seller());
+    await setDoc(doc(db, path('purchases', 'p1')), purchase());
+    await setDoc(doc(db, path('purchases', 'p2')), purchase({ billed: true, billId: 'b0', billedAt: '2026-10-01T00:00:00.000Z' }));
+    await setDoc(doc(db, path('bills', 'b0')), bill({ purchaseIds: ['p2'] }));
+    await setDoc(doc(db, path('counters', '2026-27')), { last: 1 });
+  });
+});
+
+const asOwner = () => testEnv.authenticatedContext('owner').firestore();
+const asClerk = () => testEnv.authenticatedContext('clerk').firestore();
+const asStranger = () => testEnv.authenticatedContext('stranger').firestore();
+
+describe('invites', () => {
+  const invitePath = (email) => ['invites', email].join('/');
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'businesses', 'biz2'), { name: 'Other business', ownerUid: 'owner2' });
+      await setDoc(doc(db, 'businesses', 'biz2', 'members', 'owner2'), { role: 'owner', email: 'owner2@example.com' });
+      await setDoc(doc(db, invitePath('new@example.com')), { businessId: BUSINESS, role: 'clerk' });
+    });
+  });
+
+  it('lets owners invite to their own business only', async () => {
+    await assertSucceeds(setDoc(doc(asOwner(), invitePath('clerk2@example.com')), { businessId: BUSINESS, role: 'clerk' }));
+    await assertFails(setDoc(doc(asOwner(), invitePath('clerk2@example.com')), { businessId: 'biz2', role: 'owner' }));
+    await assertFails(setDoc(doc(asClerk(), invitePath('clerk2@example.com')), { businessId: BUSINESS, role: 'clerk' }));
+  });
+
+  it('does not let an invite be re-pointed at another business', async () => {
+    await assertSucceeds(updateDoc(doc(asOwner(), invitePath('new@example.com')), { role: 'owner' }));
+    await assertFails(updateDoc(doc(asOwner(), invitePath('new@example.com')), { businessId: 'biz2', role: 'owner' }));
+    // Nor taken over by the other business's owner
+    const otherOwner = testEnv.authenticatedContext('owner2').firestore();
+    await assertFails(updateDoc(doc(otherOwner, invitePath('new@example.com')), { businessId: 'biz2' }));
+  });
+});
+
+describe('legacy data', () => {
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'sellers', 'old1'), seller());
+    });
+  });
+
+  it('stays locked until config/legacy names a business', async () => {
+    await assertFails(getDoc(doc(asOwner(), 'sellers/old1')));
+  });
+
+  it('lets only that business\'s owner read it', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'config/legacy'), { businessId: BUSINESS });
+    });
+    await assertSucceeds(getDoc(doc(asOwner(), 'sellers/old1')));
+    await assertFails(getDoc(doc(asClerk(), 'sellers/old1')));
+    await assertFails(getDoc(doc(asStranger(), 'sellers/old1')));
+    await assertFails(setDoc(doc(asOwner(), 'sellers/old1'), seller()));
+    await assertFails(setDoc(doc(asOwner(), 'config/legacy'), { businessId: 'biz2' }));
+  });
+});
+
+describe('sellers', () => {
+  it('lets the owner save a valid seller', async () => {
+    await assertSucceeds(setDoc(doc(asOwner(), path('sellers', 's2')), seller()));
+  });
+
+  it('rejects negative or non-numeric prices', async () => {
+    await assertFails(setDoc(doc(asOwner(), path('sellers', 's2')), seller({ items: [{ name: 'Milk', price: -1 }] })));
+    await assertFails(setDoc(doc(asOwner(), path('sellers', 's2')), seller({ items: [{ name: 'Milk', price: '30' }] })));
+  });
+
+  it('checks prices beyond the first item', async () => {
+    const items = Array.from({ length: 25 }, (_, i) => ({ name: `Item ${i}`, price: i === 24 ? -5 : 10 }));
+    await assertFails(setDoc(doc(asOwner(), path('sellers', 's2')), seller({ items })));
+  });
+
+  it('allows up to 50 items and checks all of them', async () => {
+    const items = (count) => Array.from({ length: count }, (_, i) => ({ name: `Item ${i}`, price: 10 }));
+    await assertSucceeds(setDoc(doc(asOwner(), path('sellers', 's2')), seller({ items: items(50) })));
+    await assertFails(setDoc(doc(asOwner(), path('sellers', 's3')), seller({ items: items(51) })));
+    const badLate = items(50).map((it, i) => i === 49 ? { ...it, price: -5 } : it);
+    await assertFails(setDoc(doc(asOwner(), path('sellers', 's4')), seller({ items: badLate })));
+  });
+
+  it('rejects a seller without a name', async () => {
+    await assertFails(setDoc(doc(asOwner(), path('sellers', 's2')), seller({ name: '' })));
+  });
+
+  it('only lets owners write sellers', async () => {
+    await assertFails(setDoc(doc(asClerk(), path('sellers', 's2')), seller()));
+    await assertSucceeds(getDoc(doc(asClerk(), path('sellers', 's1'))));
+  });
+
+  it('hides business data from non-members', async () => {
+    await assertFails(getDoc(doc(asStranger(), path('sellers', 's1'))));
+    await assertFails(setDoc(doc(asStranger(), path('purchases', 'p9')), purchase()));
+  });
+});
+
+describe('purchases', () => {
+  it('lets a clerk record a valid purchase', async () => {
+    await assertSucceeds(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase()));
+  });
+
+  it('rejects negative quantities and prices', async () => {
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ items: [{ name: 'Milk', price: 30, qty: -1 }] })));
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ items: [{ name: 'Milk', price: -30, qty: 1 }] })));
+  });
+
+  it('accepts a purchase of every item a seller can have', async () => {
+    const items = Array.from({ length: 50 }, (_, i) => ({ name: `Item ${i}`, price: 10, qty: 1.5, unit: 'kg', qtyUnit: 'g', discount: { type: 'percent', value: 5 } }));
+    await assertSucceeds(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ items })));
+  });
+
+  it('accepts fractional quantities in known units only', async () => {
+    await assertSucceeds(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ items: [{ name: 'Onions', price: 40, qty: 500, unit: 'kg', qtyUnit: 'g' }] })));
+    await assertSucceeds(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ items: [{ name: 'Oil', price: 180, qty: 1.5, unit: 'L' }] })));
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ items: [{ name: 'Oil', price: 180, qty: 1.5, unit: 'gallon' }] })));
+  });
+
+  it('rejects dates that are not ISO yyyy-mm-dd', async () => {
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ date: '19/10/2026' })));
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ date: '2026-10-19T10:00:00Z' })));
+  });
+
+  it('rejects empty purchases', async () => {
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ items: [] })));
+  });
+
+  it('does not let a clerk record an already billed purchase', async () => {
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase({ billed: true, billId: 'b0' })));
+  });
+
+  it('lets the owner edit an unbilled purchase but not a clerk', async () => {
+    const changes = { date: '2026-10-18', items: [{ itemId: 'i1', name: 'Milk', price: 30, qty: 3 }] };
+    await assertFails(updateDoc(doc(asClerk(), path('purchases', 'p1')), changes));
+    await assertSucceeds(updateDoc(doc(asOwner(), path('purchases', 'p1')), changes));
+  });
+
+  it('does not let billed be flipped directly', async () => {
+    await assertFails(updateDoc(doc(asOwner(), path('purchases', 'p1')), { billed: true, billId: 'b0', billedAt: '2026-10-19T00:00:00.000Z' }));
+    await assertFails(updateDoc(doc(asOwner(), path('purchases', 'p2')), { billed: false, billId: null, billedAt: null }));
+  });
+
+  it('marks purchases billed in the batch that creates their bill', async () => {
+    const db = asOwner();
+    const batch = writeBatch(db);
+    batch.set(doc(db, path('counters', '2026-27')), { last: 2 });
+    batch.set(doc(db, path('bills', 'b1')), bill({ billNumber: 'INV/2026-27/0002', billSeq: 2, purchaseIds: ['p1'] }));
+    batch.update(doc(db, path('purchases', 'p1')), { billed: true, billId: 'b1', billedAt: '2026-10-19T00:00:00.000Z' });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('does not bill a purchase the new bill does not list', async () => {
+    const db = asOwner();
+    const batch = writeBatch(db);
+    batch.set(doc(db, path('bills', 'b1')), bill({ purchaseIds: ['p9'] }));
+    batch.update(doc(db, path('purchases', 'p1')), { billed: true, billId: 'b1', billedAt: '2026-10-19T00:00:00.000Z' });
+    await assertFails(batch.commit());
+  });
+
+  it('releases purchases in the batch that voids their bill', async () => {
+    const db = asOwner();
+    const batch = writeBatch(db);
+    batch.update(doc(db, path('bills', 'b0')), { status: 'void', voidedAt: '2026-10-19T00:00:00.000Z' });
+    batch.update(doc(db, path('purchases', 'p2')), { billed: false, billId: null, billedAt: null });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('accepts percent and flat line discounts only', async () => {
+    const line = (discount) => ({ items: [{ itemId: 'i1', name: 'Milk', price: 30, qty: 2, discount }] });
+    await assertSucceeds(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase(line({ type: 'percent', value: 10 }))));
+    await assertSucceeds(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase(line({ type: 'flat', value: 5 }))));
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase(line({ type: 'percent', value: 150 }))));
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'p9')), purchase(line({ type: 'bogus', value: 5 }))));
+  });
+
+  it('records returns with lines and credit notes with an amount', async () => {
+    const returned = { type: 'return', reason: 'Damaged', items: [{ itemId: 'i1', name: 'Milk', price: 30, qty: 1, returnOf: 'p1' }] };
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'r1')), purchase({ ...returned, items: [] })));
+    await assertFails(setDoc(doc(asOwner(), path('purchases', 'c1')), purchase({ type: 'credit', amount: 0, items: [] })));
+    await assertFails(setDoc(doc(asOwner(), path('purchases', 'c1')), purchase({ type: 'credit', amount: 50 })));
+    await assertFails(setDoc(doc(asOwner(), path('purchases', 'c1')), purchase({ type: 'refund' })));
+  });
+
+  it('lets clerks record returns but only owners give credit notes', async () => {
+    const returned = { type: 'return', reason: 'Damaged', items: [{ itemId: 'i1', name: 'Milk', price: 30, qty: 1, returnOf: 'p1' }] };
+    const credit = { type: 'credit', amount: 50, reason: 'Short supply', items: [] };
+    await assertSucceeds(setDoc(doc(asClerk(), path('purchases', 'r1')), purchase(returned)));
+    await assertFails(setDoc(doc(asClerk(), path('purchases', 'c1')), purchase(credit)));
+    await assertSucceeds(setDoc(doc(asOwner(), path('purchases', 'c1')), purchase(credit)));
+  });
+
+  it('allows soft delete by the owner only', async () => {
+    await assertFails(updateDoc(doc(asClerk(), path('purchases', 'p1')), { deletedAt: '2026-10-19T00:00:00.000Z' }));
+    await assertSucceeds(updateDoc(doc(asOwner(), path('purchases', 'p1')), { deletedAt: '2026-10-19T00:00:00.000Z' }));
+    await assertFails(deleteDoc(doc(asClerk(), path('purchases', 'p1'))));
+  });
+});
+
+describe('bills', () => {
+  it('rejects bills with invalid totals or dates', async () => {
+    await assertFails(setDoc(doc(asOwner(), path('bills', 'b1')), bill({ total: -10 })));
+    await assertFails(setDoc(doc(asOwner(), path('bills', 'b1')), bill({ from: 'last week' })));
+  });
+
+  it('only accepts numbers the invoice counter has reached', async () => {
+    const db = asOwner();
+    const next = writeBatch(db);
+    next.set(doc(db, path('counters', '2026-27')), { last: 2 });
+    next.set(doc(db, path('bills', 'b1')), bill({ billNumber: 'INV/2026-27/0002', billSeq: 2 }));
+    await assertSucceeds(next.commit());
+
+    await assertFails(setDoc(doc(db, path('bills', 'b2')), bill({ billNumber: 'INV/2026-27/0003', billSeq: 3 })));
+    await assertFails(setDoc(doc(db, path('bills', 'b2')), bill({ billNumber: 'INV/2026-27/0002', billSeq: 1 })));
+    await assertFails(setDoc(doc(db, path('bills', 'b2')), bill({ billNumber: 'INV/2027-28/0001', billSeq: 1 })));
+  });
+
+  it('never lets an invoice counter go back', async () => {
+    await assertFails(setDoc(doc(asOwner(), path('counters', '2026-27')), { last: 1 }));
+    await assertFails(setDoc(doc(asOwner(), path('counters', '2026-27')), { last: 0 }));
+    await assertFails(setDoc(doc(asClerk(), path('counters', '2026-27')), { last: 2 }));
+    await assertFails(deleteDoc(doc(asOwner(), path('counters', '2026-27'))));
+    await assertSucceeds(setDoc(doc(asOwner(), path('counters', '2027-28')), { last: 1 }));
+    await assertSucceeds(getDoc(doc(asClerk(), path('counters', '2026-27'))));
+  });
+
+  it('keeps saved bills immutable', async () => {
+    await assertFails(updateDoc(doc(asOwner(), path('bills', 'b0')), { total: 1 }));
+  });
+
+  it('lets the owner void a bill but never un-void it', async () => {
+    await assertFails(updateDoc(doc(asClerk(), path('bills', 'b0')), { status: 'void' }));
+    await assertSucceeds(updateDoc(doc(asOwner(), path('bills', 'b0')), { status: 'void', voidedAt: '2026-10-19T00:00:00.000Z' }));
+    await assertFails(updateDoc(doc(asOwner(), path('bills', 'b0')), { status: 'active' }));
+  });
+});
+
+describe('payments', () => {
+  const payment = (overrides = {}) => ({
+    sellerId: 's1', sellerName: 'Fresh Farms', billId: null, amount: 100, date: '2026-10-19', mode: 'upi', reference: '', ...overrides
+  });
+
+  it('accepts a valid payment from the owner', async () => {
+    await assertSucceeds(setDoc(doc(asOwner(), path('payments', 'pay1')), payment()));
+    await assertFails(setDoc(doc(asClerk(), path('payments', 'pay2')), payment()));
+  });
+
+  it('rejects zero amounts and unknown modes', async () => {
+    await assertFails(setDoc(doc(asOwner(), path('payments', 'pay1')), payment({ amount: 0 })));
+    await assertFails(setDoc(doc(asOwner(), path('payments', 'pay1')), payment({ mode: 'barter' })));
+  });
+});
+
+describe('templates', () => {
+  const template = (overrides = {}) => ({ sellerId: 's1', name: 'Morning milk order', items: [{ itemId: 'i1', qty: 4 }], ...overrides });
+
+  it('lets any member save a template', async () => {
+    await assertSucceeds(setDoc(doc(asClerk(), path('templates', 't1')), template()));
+    await assertFails(setDoc(doc(asStranger(), path('templates', 't2')), template()));
+  });
+
+  it('rejects templates without a name or items', async () => {
+    await assertFails(setDoc(doc(asClerk(), path('templates', 't1')), template({ name: '' })));
+    await assertFails(setDoc(doc(asClerk(), path('templates', 't1')), template({ items: [] })));
+  });
+});
+
+describe('recurring purchases', () => {
+  const rule = (overrides = {}) => ({
+    sellerId: 's1',
+    name: 'Daily milk',
+    items: [{ itemId: 'i1', qty: 2 }],
+    frequency: 'daily',
+    days: [],
+    startDate: '2026-10-01',
+    endDate: null,
+    skipDates: [],
+    active: true,
+    lastGeneratedThrough: null,
+    ...overrides
+  });
+
+  it('lets only owners create rules', async () => {
+    await assertFails(setDoc(doc(asClerk(), path('recurring', 'r1')), rule()));
+    await assertSucceeds(setDoc(doc(asOwner(), path('recurring', 'r1')), rule()));
+  });
+
+  it('rejects rules with an unknown frequency or bad dates', async () => {
+    await assertFails(setDoc(doc(asOwner(), path('recurring', 'r1')), rule({ frequency: 'monthly' })));
+    await assertFails(setDoc(doc(asOwner(), path('recurring', 'r1')), rule({ startDate: '1/10/2026' })));
+    await assertFails(setDoc(doc(asOwner(), path('recurring', 'r1')), rule({ endDate: 'soon' })));
+    await assertFails(setDoc(doc(asOwner(), path('recurring', 'r1')), rule({ items: [] })));
+  });
+
+  it('lets clerks record generation progress but nothing else', async () => {
+    await setDoc(doc(asOwner(), path('recurring', 'r1')), rule());
+    await assertSucceeds(updateDoc(doc(asClerk(), path('recurring', 'r1')), { lastGeneratedThrough: '2026-10-19' }));
+    await assertFails(updateDoc(doc(asClerk(), path('recurring', 'r1')), { skipDates: ['2026-10-20'] }));
+  });
+
+  it('does not let generation progress jump into the future', async () => {
+    await setDoc(doc(asOwner(), path('recurring', 'r1')), rule());
+    await assertFails(updateDoc(doc(asClerk(), path('recurring', 'r1')), { lastGeneratedThrough: '2999-12-31' }));
+    await assertFails(updateDoc(doc(asClerk(), path('recurring', 'r1')), { lastGeneratedThrough: 'someday' }));
+    await assertFails(setDoc(doc(asOwner(), path('recurring', 'r2')), rule({ lastGeneratedThrough: '2999-12-31' })));
+  });
+});
+
+describe('products', () => {
+  it('lets owners keep the product master', async () => {
+    await assertSucceeds(setDoc(doc(asOwner(), path('products', 'rice')), { name: 'Basmati rice', unit: 'kg' }));
+    await assertFails(setDoc(doc(asClerk(), path('products', 'oil')), { name: 'Sunflower oil', unit: 'L' }));
+    await assertSucceeds(getDoc(doc(asClerk(), path('products', 'rice'))));
+  });
+
+  it('rejects products without a name or with an unknown unit', async () => {
+    await assertFails(setDoc(doc(asOwner(), path('products', 'rice')), { name: '', unit: 'kg' }));
+    await assertFails(setDoc(doc(asOwner(), path('products', 'rice')), { name: 'Rice', unit: 'sack' }));
+  });
+});
+
+describe('budgets', () => {
+  const budget = (overrides = {}) => ({ scope: 'seller', target: 's1', period: 'month', amount: 5000, ...overrides });
+
+  it('lets owners set budgets and members read them', async () => {
+    await assertSucceeds(setDoc(doc(asOwner(), path('budgets', 'b1')), budget()));
+    await assertFails(setDoc(doc(asClerk(), path('budgets', 'b2')), budget()));
+    await assertSucceeds(getDoc(doc(asClerk(), path('budgets', 'b1'))));
+  });
+
+  it('rejects unknown scopes, periods and non-positive amounts', async () => {
+    await assertFails(setDoc(doc(asOwner(), path('budgets', 'b1')), budget({ scope: 'item' })));
+    await assertFails(setDoc(doc(asOwner(), path('budgets', 'b1')), budget({ period: 'year' })));
+    await assertFails(setDoc(doc(asOwner(), path('budgets', 'b1')), budget({ amount: 0 })));
+  });
+});
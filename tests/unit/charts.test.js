@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { niceMax, lineChart, barChart } from '../../charts.js';
+
+describe('charts', () => {
+  it('rounds axis maximums up to friendly numbers', () => {
+    expect(niceMax(0)).toBe(1);
+    expect(niceMax(7)).toBe(10);
+    expect(niceMax(180)).toBe(200);
+    expect(niceMax(2100)).toBe(2500);
+    expect(niceMax(4999)).toBe(5000);
+  });
+
+  it('draws one point per bucket and a dashed previous period', () => {
+    const series = [{ key: 'a', value: 10 }, { key: 'b', value: 20 }, { key: 'c', value: 5 }];
+    const svg = lineChart(series, { previous: [{ key: 'x', value: 8 }, { key: 'y', value: 12 }] });
+
+    expect(svg.match(/<circle/g)).toHaveLength(3);
+    expect(svg).toContain('stroke-dasharray');
+    expect(lineChart(series)).not.toContain('stroke-dasharray');
+  });
+
+  it('escapes labels', () => {
+    const svg = barChart([{ label: 'Tea & <Coffee>', value: 40, previous: 20 }]);
+    expect(svg).toContain('Tea &amp; &lt;Coffee&gt;');
+    expect(svg).not.toContain('<Coffee>');
+  });
+});
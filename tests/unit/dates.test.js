@@ -0,0 +1,82 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { addDays, todayIn, weekStart, weekEnd, periodRange, periodTotals } from '../../domain.js';
+
+// Device timezones the calendar maths must not depend on, including zones with DST
+const DEVICE_ZONES = ['UTC', 'Asia/Kolkata', 'America/New_York', 'Europe/London', 'Australia/Sydney', 'Pacific/Kiritimati'];
+const originalTZ = process.env.TZ;
+
+afterEach(() => {
+  process.env.TZ = originalTZ;
+});
+
+describe.each(DEVICE_ZONES)('calendar dates with the device in %s', (zone) => {
+  it('gives whole months, starting on the 1st', () => {
+    process.env.TZ = zone;
+    expect(periodRange('month', '2026-10-19')).toEqual({ from: '2026-10-01', to: '2026-10-31' });
+    expect(periodRange('month', '2026-04-01')).toEqual({ from: '2026-04-01', to: '2026-04-30' });
+  });
+
+  it('handles February in leap and common years', () => {
+    process.env.TZ = zone;
+    expect(periodRange('month', '2028-02-29')).toEqual({ from: '2028-02-01', to: '2028-02-29' });
+    expect(periodRange('month', '2026-02-01')).toEqual({ from: '2026-02-01', to: '2026-02-28' });
+  });
+
+  it('crosses year boundaries', () => {
+    process.env.TZ = zone;
+    expect(periodRange('month', '2026-12-31')).toEqual({ from: '2026-12-01', to: '2026-12-31' });
+    expect(weekStart('2027-01-01')).toBe('2026-12-28');
+    expect(weekEnd('2026-12-30')).toBe('2027-01-03');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+  });
+
+  it('keeps weeks seven days long across DST changes', () => {
+    process.env.TZ = zone;
+    // US clocks change on 2026-03-08 and 2026-11-01, Europe on 2026-03-29 and 2026-10-25
+    expect(periodRange('week', '2026-03-08')).toEqual({ from: '2026-03-02', to: '2026-03-08' });
+    expect(periodRange('week', '2026-03-09')).toEqual({ from: '2026-03-09', to: '2026-03-15' });
+    expect(periodRange('week', '2026-10-25')).toEqual({ from: '2026-10-19', to: '2026-10-25' });
+    expect(addDays('2026-11-01', 1)).toBe('2026-11-02');
+  });
+});
+
+describe('week start', () => {
+  it('can start weeks on Sunday or Saturday', () => {
+    // 2026-10-21 is a Wednesday
+    expect(periodRange('week', '2026-10-21', 0)).toEqual({ from: '2026-10-18', to: '2026-10-24' });
+    expect(periodRange('week', '2026-10-21', 6)).toEqual({ from: '2026-10-17', to: '2026-10-23' });
+    expect(weekStart('2026-10-18', 0)).toBe('2026-10-18');
+    expect(weekStart('2026-10-18', 1)).toBe('2026-10-12');
+  });
+
+  it('uses the configured week for header totals', () => {
+    const purchases = [{ date: '2026-10-18', items: [{ qty: 1, price: 50 }] }];
+    expect(periodTotals(purchases, '2026-10-21', 0).week).toBe(50);
+    expect(periodTotals(purchases, '2026-10-21', 1).week).toBe(0);
+  });
+});
+
+describe('today in the business timezone', () => {
+  it('does not fall back to yesterday for purchases just after midnight in IST', () => {
+    // 00:30 IST on 20 October is still 19 October in UTC
+    const afterMidnight = new Date('2026-10-19T19:00:00Z');
+    expect(todayIn('Asia/Kolkata', afterMidnight)).toBe('2026-10-20');
+    expect(todayIn('UTC', afterMidnight)).toBe('2026-10-19');
+    // 23:45 IST is still the same day in both
+    expect(todayIn('Asia/Kolkata', new Date('2026-10-19T18:15:00Z'))).toBe('2026-10-19');
+  });
+
+  it('follows DST offsets', () => {
+    // New York is UTC-5 in winter and UTC-4 in summer
+    expect(todayIn('America/New_York', new Date('2026-01-15T04:30:00Z'))).toBe('2026-01-14');
+    expect(todayIn('America/New_York', new Date('2026-07-15T04:30:00Z'))).toBe('2026-07-15');
+    // Spring-forward night: 01:59 EST then 03:00 EDT
+    expect(todayIn('America/New_York', new Date('2026-03-08T06:59:00Z'))).toBe('2026-03-08');
+    expect(todayIn('America/New_York', new Date('2026-03-08T04:59:00Z'))).toBe('2026-03-07');
+  });
+
+  it('handles the new year in zones ahead of UTC', () => {
+    expect(todayIn('Pacific/Kiritimati', new Date('2026-12-31T10:00:00Z'))).toBe('2027-01-01');
+    expect(todayIn('Asia/Kolkata', new Date('2026-12-31T18:30:00Z'))).toBe('2027-01-01');
+  });
+});
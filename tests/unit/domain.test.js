@@ -0,0 +1,505 @@
+import { describe, expect, it } from 'vitest';
+import {
+  weekStart,
+  weekEnd,
+  periodRange,
+  financialYear,
+  amountInWords,
+  gstSplit,
+  priceOn,
+  nextPriceHistory,
+  purchaseTotal,
+  sumPurchases,
+  totalsBy,
+  weekKey,
+  monthKey,
+  periodTotals,
+  buildBill,
+  formatBillNumber,
+  parseBillNumber,
+  lastBillSeq,
+  sellerBalances,
+  billDue,
+  recurringDates,
+  recurringPurchaseId,
+  compatibleUnits,
+  convertQty,
+  roundQty,
+  qtyDecimals,
+  formatQty,
+  lineAmount,
+  previousRange,
+  percentChange,
+  bucketsBetween,
+  linesInRange,
+  spendSeries,
+  spendBreakdown,
+  qtySeries,
+  unitPrice,
+  productOffers,
+  cheaperElsewhere,
+  potentialSavings,
+  budgetStatus,
+  budgetWarnings,
+  budgetHistory,
+  unusualQuantities,
+  parseDiscount,
+  discountAmount,
+  returnLine,
+  returnedQty
+} from '../../domain.js';
+
+const purchase = (id, date, items, extra = {}) => ({ id, sellerId: 's1', sellerName: 'Fresh Farms', date, items, ...extra });
+const milk = (qty, price = 30) => ({ itemId: 'milk', name: 'Milk', price, qty, gstRate: 5, hsn: '0401' });
+const bread = (qty) => ({ itemId: 'bread', name: 'Bread', price: 45, qty, gstRate: 0 });
+
+describe('periods', () => {
+  it('runs weeks from Monday to Sunday', () => {
+    expect(weekStart('2026-10-21')).toBe('2026-10-19');
+    expect(weekEnd('2026-10-21')).toBe('2026-10-25');
+  });
+
+  it('puts Sunday at the end of the week', () => {
+    expect(weekStart('2026-10-25')).toBe('2026-10-19');
+  });
+
+  it('gives whole-month ranges', () => {
+    expect(periodRange('month', '2026-02-10')).toEqual({ from: '2026-02-01', to: '2026-02-28' });
+    expect(periodRange('week', '2026-10-21')).toEqual({ from: '2026-10-19', to: '2026-10-25' });
+  });
+
+  it('labels financial years April to March', () => {
+    expect(financialYear('2026-03-31')).toBe('2025-26');
+    expect(financialYear('2026-04-01')).toBe('2026-27');
+  });
+});
+
+describe('amounts', () => {
+  it('writes amounts in the Indian numbering system', () => {
+    expect(amountInWords(0)).toBe('Rupees Zero Only');
+    expect(amountInWords(1234567.5)).toBe('Rupees Twelve Lakh Thirty Four Thousand Five Hundred Sixty Seven and Fifty Paise Only');
+    expect(amountInWords(20000000)).toBe('Rupees Two Crore Only');
+  });
+
+  it('splits GST-inclusive amounts', () => {
+    expect(gstSplit(105, 5, false)).toEqual({ taxable: 100, cgst: 2.5, sgst: 2.5, igst: 0, tax: 5 });
+    expect(gstSplit(118, 18, true)).toEqual({ taxable: 100, cgst: 0, sgst: 0, igst: 18, tax: 18 });
+  });
+
+  it('keeps CGST + SGST equal to the tax when it does not halve evenly', () => {
+    const split = gstSplit(100, 5, false);
+    expect(split.cgst + split.sgst).toBeCloseTo(split.tax, 10);
+  });
+});
+
+describe('prices', () => {
+  const item = {
+    price: 35,
+    priceHistory: [
+      { price: 30, effectiveFrom: null },
+      { price: 35, effectiveFrom: '2026-10-01' }
+    ]
+  };
+
+  it('uses the price in effect on the date', () => {
+    expect(priceOn(item, '2026-09-30')).toBe(30);
+    expect(priceOn(item, '2026-10-01')).toBe(35);
+    expect(priceOn({ price: 12 }, '2026-10-01')).toBe(12);
+  });
+
+  it('records the original price before the first change', () => {
+    const history = nextPriceHistory([], 30, 35, '2026-10-01');
+    expect(history.map(h => [h.price, h.effectiveFrom])).toEqual([[30, null], [35, '2026-10-01']]);
+  });
+
+  it('leaves history alone when the price is unchanged', () => {
+    expect(nextPriceHistory(item.priceHistory, 35, 35, '2026-10-19')).toEqual(item.priceHistory);
+  });
+
+  it('replaces a change made for the same date', () => {
+    const history = nextPriceHistory(item.priceHistory, 35, 40, '2026-10-01');
+    expect(history.map(h => h.price)).toEqual([30, 40]);
+  });
+});
+
+describe('totals', () => {
+  const purchases = [
+    purchase('p1', '2026-10-19', [milk(2), bread(1)]),
+    purchase('p2', '2026-10-26', [milk(1)], { billed: true }),
+    purchase('p3', '2026-09-30', [bread(2)], { sellerId: 's2', sellerName: 'Bakery' })
+  ];
+
+  it('adds up purchases', () => {
+    expect(purchaseTotal(purchases[0])).toBe(105);
+    expect(purchaseTotal({})).toBe(0);
+    expect(sumPurchases(purchases)).toBe(225);
+  });
+
+  it('groups totals by week, month and seller', () => {
+    expect(totalsBy(purchases, weekKey)).toEqual({
+      '2026-10-19—2026-10-25': 105,
+      '2026-10-26—2026-11-01': 30,
+      '2026-09-28—2026-10-04': 90
+    });
+    expect(totalsBy(purchases, monthKey)).toEqual({ '2026-10': 135, '2026-09': 90 });
+    expect(totalsBy(purchases, p => p.sellerName)).toEqual({ 'Fresh Farms': 135, Bakery: 90 });
+  });
+
+  it('computes the header figures', () => {
+    expect(periodTotals(purchases, '2026-10-21')).toEqual({ week: 105, month: 135, unbilled: 195 });
+  });
+});
+
+describe('units', () => {
+  const onions = { itemId: 'onion', name: 'Onions', price: 40, unit: 'kg' };
+
+  it('converts between units with the same base', () => {
+    expect(convertQty(500, 'g', 'kg')).toBe(0.5);
+    expect(convertQty(2, 'dozen', 'piece')).toBe(24);
+    expect(convertQty(3, undefined, undefined)).toBe(3);
+    expect(() => convertQty(1, 'kg', 'L')).toThrow();
+    expect(compatibleUnits('kg')).toEqual(['kg', 'g']);
+    expect(compatibleUnits()).toEqual(['piece', 'dozen']);
+  });
+
+  it('allows decimals only where the item does', () => {
+    expect(qtyDecimals(onions)).toBe(3);
+    expect(qtyDecimals(onions, 'g')).toBe(0);
+    expect(qtyDecimals({ ...onions, precision: 1 })).toBe(1);
+    expect(qtyDecimals({ name: 'Bread' })).toBe(0);
+    expect(roundQty(2.54999, 2)).toBe(2.55);
+    expect(formatQty(2.5, 'kg')).toBe('2.5 kg');
+    expect(formatQty(2)).toBe('2 pc');
+  });
+
+  it('prices lines to the paisa, including converted quantities', () => {
+    expect(lineAmount({ ...onions, qty: 500, qtyUnit: 'g' })).toBe(20);
+    expect(lineAmount({ ...onions, qty: 1.255 })).toBe(50.2);
+    expect(lineAmount({ price: 33.33, qty: 1.5 })).toBe(50);
+    expect(purchaseTotal({ items: [{ price: 0.1, qty: 1 }, { price: 0.2, qty: 1 }] })).toBe(0.3);
+  });
+
+  it('bills converted quantities in the item unit', () => {
+    const bill = buildBill([
+      purchase('p1', '2026-10-19', [{ ...onions, qty: 1.5 }]),
+      purchase('p2', '2026-10-20', [{ ...onions, qty: 750, qtyUnit: 'g' }])
+    ], 'week', '2026-10-19', '2026-10-25');
+    const [row] = bill.sellers[0].items;
+
+    expect(row.unit).toBe('kg');
+    expect(row.lines.map(l => [l.qty, l.unit])).toEqual([[1.5, 'kg'], [750, 'g']]);
+    expect(row.qty).toBe(2.25);
+    expect(bill.total).toBe(90);
+  });
+});
+
+describe('analytics', () => {
+  const onions = (qty, extra = {}) => ({ itemId: 'onion', name: 'Onions', price: 40, unit: 'kg', qty, ...extra });
+  const purchases = [
+    purchase('p1', '2026-10-01', [milk(2), onions(1.5)]),
+    purchase('p2', '2026-10-03', [onions(500, { qtyUnit: 'g' })]),
+    purchase('p3', '2026-10-12', [bread(1)]),
+    purchase('p4', '2026-09-28', [milk(1)])
+  ];
+
+  it('finds the previous period of the same length', () => {
+    expect(previousRange('2026-10-01', '2026-10-31')).toEqual({ from: '2026-08-31', to: '2026-09-30' });
+    expect(previousRange('2026-10-19', '2026-10-19')).toEqual({ from: '2026-10-18', to: '2026-10-18' });
+    expect(percentChange(150, 100)).toBe(50);
+    expect(percentChange(150, 0)).toBeNull();
+  });
+
+  it('lists every bucket in the range', () => {
+    expect(bucketsBetween('2026-10-01', '2026-10-03', 'day')).toEqual(['2026-10-01', '2026-10-02', '2026-10-03']);
+    expect(bucketsBetween('2026-10-01', '2026-10-14', 'week')).toEqual(['2026-09-28', '2026-10-05', '2026-10-12']);
+    expect(bucketsBetween('2026-09-15', '2026-11-02', 'month')).toEqual(['2026-09', '2026-10', '2026-11']);
+  });
+
+  it('totals spend over time and by item', () => {
+    const lines = linesInRange(purchases, '2026-10-01', '2026-10-14');
+    expect(lines).toHaveLength(4);
+    expect(spendSeries(lines, '2026-10-01', '2026-10-14', 'week').map(b => b.value)).toEqual([140, 0, 45]);
+    expect(spendBreakdown(lines, line => line.name)).toEqual([
+      { key: 'Onions', value: 80 },
+      { key: 'Milk', value: 60 },
+      { key: 'Bread', value: 45 }
+    ]);
+    expect(linesInRange(purchases, '2026-10-01', '2026-10-14', line => line.itemId === 'milk')).toHaveLength(1);
+  });
+
+  it('tracks the quantity of an item in its unit', () => {
+    const lines = linesInRange(purchases, '2026-10-01', '2026-10-31');
+    expect(qtySeries(lines, 'onion', 'kg', '2026-10-01', '2026-10-31', 'month')).toEqual([{ key: '2026-10', value: 2 }]);
+    expect(qtySeries(lines, 'onion', 'g', '2026-10-01', '2026-10-03', 'day').map(b => b.value)).toEqual([1500, 0, 500]);
+  });
+});
+
+describe('product comparison', () => {
+  const sellers = [
+    { id: 's1', name: 'Fresh Farms', items: [{ itemId: 'rice1', name: 'Rice', price: 60, unit: 'kg', productId: 'rice' }, milk(0)] },
+    { id: 's2', name: 'Grain Store', items: [{ itemId: 'rice2', name: 'Sona Rice', price: 0.055, unit: 'g', productId: 'rice' }] },
+    {
+      id: 's3',
+      name: 'Wholesale',
+      items: [{
+        itemId: 'rice3',
+        name: 'Rice 25kg',
+        price: 58,
+        unit: 'kg',
+        productId: 'rice',
+        priceHistory: [{ price: 65, effectiveFrom: null }, { price: 58, effectiveFrom: '2026-10-15' }]
+      }]
+    }
+  ];
+
+  it('prices offers per common unit, cheapest first', () => {
+    expect(unitPrice(sellers[1].items[0], '2026-10-19', 'kg')).toBe(55);
+    expect(unitPrice(sellers[0].items[0], '2026-10-19', 'L')).toBeNull();
+    expect(productOffers(sellers, 'rice', '2026-10-19', 'kg').map(o => [o.sellerName, o.price])).toEqual([
+      ['Grain Store', 55], ['Wholesale', 58], ['Fresh Farms', 60]
+    ]);
+    expect(productOffers(sellers, 'rice', '2026-10-01', 'kg').map(o => o.price)).toEqual([55, 60, 65]);
+  });
+
+  it('flags a cheaper seller for the same product', () => {
+    expect(cheaperElsewhere(sellers, 's1', sellers[0].items[0], '2026-10-19').sellerName).toBe('Grain Store');
+    expect(cheaperElsewhere(sellers, 's2', sellers[1].items[0], '2026-10-19')).toBeNull();
+    expect(cheaperElsewhere(sellers, 's1', sellers[0].items[1], '2026-10-19')).toBeNull();
+  });
+
+  it('reports what the cheapest seller would have saved', () => {
+    const rice = (qty, extra = {}) => ({ itemId: 'rice1', name: 'Rice', price: 60, unit: 'kg', qty, ...extra });
+    const lines = linesInRange([
+      purchase('p1', '2026-10-19', [rice(2), milk(1)]),
+      purchase('p2', '2026-10-20', [rice(500, { qtyUnit: 'g' })]),
+      purchase('p3', '2026-10-20', [{ itemId: 'rice2', name: 'Sona Rice', price: 0.055, unit: 'g', qty: 1000 }], { sellerId: 's2' })
+    ], '2026-10-01', '2026-10-31');
+
+    expect(potentialSavings(lines, sellers)).toEqual({
+      total: 12.5,
+      products: [{ productId: 'rice', paid: 150, cheapest: 137.5, saving: 12.5, sellerName: 'Grain Store' }]
+    });
+  });
+});
+
+describe('budgets', () => {
+  const categoryOf = (line) => (line.itemId === 'milk' ? 'Dairy' : 'Bakery');
+  const purchases = [
+    purchase('p1', '2026-10-19', [milk(2), bread(1)]),
+    purchase('p2', '2026-10-20', [milk(1)], { sellerId: 's2' }),
+    purchase('p3', '2026-09-30', [bread(2)])
+  ];
+  const sellerBudget = { scope: 'seller', target: 's1', period: 'week', amount: 150 };
+  const dairyBudget = { scope: 'category', target: 'Dairy', period: 'month', amount: 100 };
+
+  it('tracks spend against each budget in the current period', () => {
+    const [seller, dairy] = budgetStatus([sellerBudget, dairyBudget], purchases, '2026-10-21', 1, categoryOf);
+    expect([seller.from, seller.to, seller.spent, seller.ratio]).toEqual(['2026-10-19', '2026-10-25', 105, 0.7]);
+    expect([dairy.from, dairy.spent]).toEqual(['2026-10-01', 90]);
+  });
+
+  it('warns when a purchase takes a budget over its amount', () => {
+    const next = purchase('p9', '2026-10-22', [milk(1)]);
+    expect(budgetWarnings([sellerBudget, dairyBudget], purchases, next, 1, categoryOf).map(w => [w.budget.target, w.after]))
+      .toEqual([['Dairy', 120]]);
+    expect(budgetWarnings([sellerBudget], purchases, purchase('p9', '2026-10-22', [bread(2)]), 1, categoryOf)).toHaveLength(1);
+    expect(budgetWarnings([dairyBudget], purchases, purchase('p9', '2026-10-22', [bread(1)]), 1, categoryOf)).toEqual([]);
+  });
+
+  it('reports past periods oldest first', () => {
+    expect(budgetHistory(sellerBudget, purchases, '2026-10-21', 4, 1, categoryOf).map(p => [p.from, p.spent])).toEqual([
+      ['2026-09-28', 90], ['2026-10-05', 0], ['2026-10-12', 0], ['2026-10-19', 105]
+    ]);
+  });
+
+  it('flags unusual quantities', () => {
+    const items = { milk: { maxQty: 5 }, onion: { maxQty: 2, unit: 'kg' } };
+    const lines = [milk(6), milk(5), { itemId: 'onion', qty: 2500, qtyUnit: 'g', unit: 'kg', price: 40 }, bread(50)];
+    expect(unusualQuantities(lines, items).map(l => l.itemId)).toEqual(['milk', 'onion']);
+  });
+});
+
+describe('returns, credit notes and discounts', () => {
+  const sellers = [{ id: 's1', gstin: '29ABCDE1234F1Z5', items: [] }];
+  const bought = purchase('p1', '2026-10-19', [milk(2), { ...bread(2), discount: { type: 'percent', value: 10 } }]);
+  const returned = purchase('r1', '2026-10-20', [returnLine(milk(2), 1, 'p1')], { type: 'return', reason: 'Sour' });
+  const credit = purchase('c1', '2026-10-21', [], { type: 'credit', amount: 20, reason: 'Late delivery' });
+  const entries = [bought, returned, credit];
+
+  it('reads percent and flat discounts', () => {
+    expect(parseDiscount('10%')).toEqual({ type: 'percent', value: 10 });
+    expect(parseDiscount(' ₹1,500 ')).toEqual({ type: 'flat', value: 1500 });
+    expect(parseDiscount('')).toBe(null);
+    expect(() => parseDiscount('120%')).toThrow();
+    expect(() => parseDiscount('ten')).toThrow();
+  });
+
+  it('never discounts more than the amount', () => {
+    expect(discountAmount(90, { type: 'percent', value: 10 })).toBe(9);
+    expect(discountAmount(90, { type: 'flat', value: 120 })).toBe(90);
+    expect(discountAmount(90, null)).toBe(0);
+    expect(lineAmount({ ...bread(2), discount: { type: 'flat', value: 5 } })).toBe(85);
+  });
+
+  it('counts returns and credit notes against spend', () => {
+    expect(entries.map(purchaseTotal)).toEqual([141, -30, -20]);
+    expect(sumPurchases(entries)).toBe(91);
+    expect(linesInRange(entries, '2026-10-19', '2026-10-25').map(l => l.amount)).toEqual([60, 81, -30, -20]);
+    const lines = linesInRange(entries, '2026-10-19', '2026-10-25');
+    expect(qtySeries(lines, 'milk', 'piece', '2026-10-19', '2026-10-20', 'day').map(p => p.value)).toEqual([2, -1]);
+  });
+
+  it('tracks what is left to return and shares flat discounts pro rata', () => {
+    expect(returnedQty(entries, 'p1', 'milk')).toBe(1);
+    expect(returnedQty(entries, 'p1', 'bread')).toBe(0);
+    expect(returnLine({ ...bread(4), discount: { type: 'flat', value: 20 } }, 1, 'p1').discount).toEqual({ type: 'flat', value: 5 });
+  });
+
+  it('bills returns and credit notes in their own sections', () => {
+    const bill = buildBill(entries, 'week', '2026-10-19', '2026-10-25', sellers, { stateCode: '29' });
+    const [seller] = bill.sellers;
+
+    expect(seller.items.map(i => [i.itemId, i.gross, i.discount, i.amount])).toEqual([['milk', 60, 0, 60], ['bread', 90, 9, 81]]);
+    expect(seller.returns.map(r => [r.name, r.qty, r.amount, r.reason])).toEqual([['Milk', 1, 30, 'Sour']]);
+    expect(seller.credits).toEqual([{ date: '2026-10-21', reason: 'Late delivery', amount: 20 }]);
+    expect(seller.taxSummary.find(s => s.rate === 5).taxable).toBe(28.57);
+    expect(seller.total).toBe(91);
+    expect(bill.purchaseIds).toEqual(['p1', 'r1', 'c1']);
+  });
+
+  it('shares a bill discount between sellers and lowers their tax', () => {
+    const other = purchase('p2', '2026-10-19', [milk(1)], { sellerId: 's2', sellerName: 'Dairy Co' });
+    const bill = buildBill([...entries, other], 'week', '2026-10-19', '2026-10-25', sellers, { stateCode: '29' }, { type: 'percent', value: 10 });
+    const [s1, s2] = bill.sellers;
+
+    expect(bill.discountAmount).toBe(14.1);
+    expect([s1.discount, s2.discount]).toEqual([11.1, 3]);
+    expect([s1.total, s2.total]).toEqual([79.9, 27]);
+    expect(bill.total).toBe(106.9);
+    expect(s2.tax).toBe(1.29);
+    expect(buildBill(entries, 'week', '2026-10-19', '2026-10-25', sellers, {}).discount).toBe(null);
+  });
+
+  it('never lets a bill discount take a seller below zero after credit notes', () => {
+    const small = purchase('p3', '2026-10-19', [{ itemId: 'rice', name: 'Rice', qty: 1, price: 100 }]);
+    const bigCredit = purchase('c3', '2026-10-20', [], { type: 'credit', amount: 90 });
+    const bill = buildBill([small, bigCredit], 'week', '2026-10-19', '2026-10-25', sellers, { stateCode: '29' }, { type: 'percent', value: 20 });
+
+    expect(bill.sellers[0].discount).toBe(10);
+    expect(bill.sellers[0].total).toBe(0);
+    expect(bill.discountAmount).toBe(10);
+    expect(bill.total).toBe(0);
+  });
+
+  it('takes bill discounts off what is outstanding', () => {
+    const bills = [{ id: 'b1', status: 'active', sellers: [{ sellerId: 's1', total: 79.9, discount: 11.1 }] }];
+    expect(sellerBalances(entries, bills, []).s1).toMatchObject({ purchased: 91, billed: 79.9, outstanding: 79.9 });
+  });
+});
+
+describe('bills', () => {
+  const sellers = [{ id: 's1', gstin: '29ABCDE1234F1Z5', items: [] }];
+  const purchases = [
+    purchase('p1', '2026-10-20', [milk(2)]),
+    purchase('p2', '2026-10-19', [milk(1), bread(2)]),
+    purchase('p3', '2026-10-21', [milk(1, 32)])
+  ];
+
+  it('groups lines per item and price, oldest first', () => {
+    const bill = buildBill(purchases, 'week', '2026-10-19', '2026-10-25', sellers, { stateCode: '29' });
+    const [seller] = bill.sellers;
+    const milkRows = seller.items.filter(i => i.itemId === 'milk');
+
+    expect(milkRows.map(i => [i.price, i.qty, i.amount])).toEqual([[30, 3, 90], [32, 1, 32]]);
+    expect(milkRows[0].lines.map(l => l.date)).toEqual(['2026-10-19', '2026-10-20']);
+    expect(bill.total).toBe(212);
+    expect(bill.purchaseIds).toEqual(['p1', 'p2', 'p3']);
+    expect(bill.status).toBe('draft');
+  });
+
+  it('uses CGST/SGST within the state and IGST across states', () => {
+    const local = buildBill(purchases, 'week', '2026-10-19', '2026-10-25', sellers, { stateCode: '29' });
+    const interState = buildBill(purchases, 'week', '2026-10-19', '2026-10-25', sellers, { stateCode: '27' });
+
+    expect(local.sellers[0].interState).toBe(false);
+    expect(interState.sellers[0].interState).toBe(true);
+    expect(interState.sellers[0].items.every(i => i.cgst === 0)).toBe(true);
+    expect(local.tax).toBe(interState.tax);
+  });
+
+  it('summarises tax per rate slab', () => {
+    const bill = buildBill(purchases, 'week', '2026-10-19', '2026-10-25', sellers, { stateCode: '29' });
+    expect(bill.sellers[0].taxSummary.map(s => s.rate)).toEqual([0, 5]);
+    expect(bill.sellers[0].taxSummary[0].tax).toBe(0);
+  });
+
+  it('numbers bills per financial year', () => {
+    const bills = [{ billNumber: 'INV/2026-27/0007' }, { billNumber: 'INV/2025-26/0042' }, { billNumber: '' }];
+    expect(lastBillSeq(bills, '2026-27')).toBe(7);
+    expect(lastBillSeq(bills, '2027-28')).toBe(0);
+    expect(formatBillNumber('2026-27', 8)).toBe('INV/2026-27/0008');
+    expect(formatBillNumber('2026-27', 12345)).toBe('INV/2026-27/12345');
+    expect(parseBillNumber('INV/2025-26/0042')).toEqual({ financialYear: '2025-26', seq: 42 });
+    expect(parseBillNumber('Draft')).toBe(null);
+  });
+});
+
+describe('balances', () => {
+  const purchases = [
+    purchase('p1', '2026-10-19', [milk(10)], { billed: true }),
+    purchase('p2', '2026-10-27', [milk(2)])
+  ];
+  const bills = [
+    { id: 'b1', status: 'active', sellers: [{ sellerId: 's1', sellerName: 'Fresh Farms', total: 300 }] },
+    { id: 'b0', status: 'void', sellers: [{ sellerId: 's1', sellerName: 'Fresh Farms', total: 999 }] }
+  ];
+  const payments = [{ sellerId: 's1', billId: 'b1', amount: 100 }];
+
+  it('tracks unbilled, billed-unpaid and outstanding amounts, ignoring void bills', () => {
+    expect(sellerBalances(purchases, bills, payments).s1).toMatchObject({
+      purchased: 360,
+      unbilled: 60,
+      billed: 300,
+      paid: 100,
+      billedUnpaid: 200,
+      outstanding: 260
+    });
+  });
+
+  it('reports what is still due on a bill', () => {
+    expect(billDue(bills[0], 's1', payments)).toBe(200);
+    expect(billDue(bills[0], 's2', payments)).toBe(0);
+  });
+});
+
+describe('recurring purchases', () => {
+  const rule = (overrides = {}) => ({ frequency: 'daily', startDate: '2026-10-15', endDate: null, skipDates: [], ...overrides });
+
+  it('delivers every day from the start date', () => {
+    expect(recurringDates(rule(), '2026-10-14', '2026-10-17')).toEqual(['2026-10-15', '2026-10-16', '2026-10-17']);
+  });
+
+  it('stops after the end date and leaves out skipped days', () => {
+    expect(recurringDates(rule({ endDate: '2026-10-18', skipDates: ['2026-10-16'] }), '2026-10-15', '2026-10-25'))
+      .toEqual(['2026-10-15', '2026-10-17', '2026-10-18']);
+  });
+
+  it('delivers Monday to Friday on weekdays', () => {
+    // 2026-10-17 and 2026-10-18 are a weekend
+    expect(recurringDates(rule({ frequency: 'weekdays' }), '2026-10-15', '2026-10-20'))
+      .toEqual(['2026-10-15', '2026-10-16', '2026-10-19', '2026-10-20']);
+  });
+
+  it('delivers weekly on the chosen days', () => {
+    expect(recurringDates(rule({ frequency: 'weekly', days: [0, 3] }), '2026-10-15', '2026-10-28'))
+      .toEqual(['2026-10-18', '2026-10-21', '2026-10-25', '2026-10-28']);
+  });
+
+  it('returns nothing before the rule starts', () => {
+    expect(recurringDates(rule({ startDate: '2026-11-01' }), '2026-10-15', '2026-10-20')).toEqual([]);
+  });
+
+  it('gives each rule and day its own purchase id', () => {
+    expect(recurringPurchaseId('r1', '2026-10-19')).toBe('rec-r1-2026-10-19');
+  });
+});
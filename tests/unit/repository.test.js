@@ -0,0 +1,78 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createMemoryRepository } from '../../repository.js';
+
+describe('in-memory repository', () => {
+  it('lists seeded documents with their ids', async () => {
+    const repo = createMemoryRepository({ sellers: [{ id: 's1', name: 'Fresh Farms' }] });
+    expect(await repo.list('sellers')).toEqual([{ id: 's1', name: 'Fresh Farms' }]);
+    expect(await repo.list('bills')).toEqual([]);
+  });
+
+  it('adds, updates and removes documents', async () => {
+    const repo = createMemoryRepository();
+    const id = await repo.add('purchases', { date: '2026-10-19', billed: false });
+    await repo.update('purchases', id, { billed: true });
+    expect(await repo.list('purchases')).toEqual([{ id, date: '2026-10-19', billed: true }]);
+
+    await repo.remove('purchases', id);
+    expect(await repo.list('purchases')).toEqual([]);
+  });
+
+  it('hands out copies so callers cannot change stored documents', async () => {
+    const repo = createMemoryRepository({ sellers: [{ id: 's1', items: [] }] });
+    (await repo.list('sellers'))[0].items.push('x');
+    expect((await repo.list('sellers'))[0].items).toEqual([]);
+  });
+
+  it('applies a batch all or nothing', async () => {
+    const repo = createMemoryRepository({ purchases: [{ id: 'p1', billed: false }] });
+    await expect(repo.commit([
+      { type: 'set', collection: 'bills', id: 'b1', data: { purchaseIds: ['p1', 'p9'] } },
+      { type: 'update', collection: 'purchases', id: 'p1', data: { billed: true } },
+      { type: 'update', collection: 'purchases', id: 'p9', data: { billed: true } }
+    ])).rejects.toThrow('purchases/p9');
+
+    expect(await repo.list('bills')).toEqual([]);
+    expect((await repo.list('purchases'))[0].billed).toBe(false);
+  });
+
+  it('creates only documents that do not exist yet in a transaction', async () => {
+    const repo = createMemoryRepository({ purchases: [{ id: 'rec-r1-2026-10-19', qty: 3, deletedAt: '2026-10-19' }] });
+    const created = await repo.transact([
+      { type: 'create', collection: 'purchases', id: 'rec-r1-2026-10-19', data: { qty: 2 } },
+      { type: 'create', collection: 'purchases', id: 'rec-r1-2026-10-20', data: { qty: 2 } }
+    ]);
+
+    expect(created).toBe(1);
+    expect(await repo.list('purchases')).toEqual([
+      { id: 'rec-r1-2026-10-19', qty: 3, deletedAt: '2026-10-19' },
+      { id: 'rec-r1-2026-10-20', qty: 2 }
+    ]);
+  });
+
+  it('commits what a callback builds from the document it reads', async () => {
+    const repo = createMemoryRepository({ counters: [{ id: '2026-27', last: 7 }] });
+    const next = (counter) => [{ type: 'set', collection: 'counters', id: '2026-27', data: { last: (counter?.last || 0) + 1 } }];
+    await repo.commitWith('counters', '2026-27', next);
+    await repo.commitWith('counters', '2026-27', next);
+    expect(await repo.list('counters')).toEqual([{ id: '2026-27', last: 9 }]);
+
+    const seen = vi.fn(() => []);
+    await repo.commitWith('counters', '2027-28', seen);
+    expect(seen).toHaveBeenCalledWith(null);
+  });
+
+  it('notifies listeners straight away and after each change', async () => {
+    const repo = createMemoryRepository({ sellers: [{ id: 's1', name: 'Fresh Farms' }] });
+    const onChange = vi.fn();
+    const unsubscribe = repo.listen('sellers', onChange);
+    expect(onChange).toHaveBeenLastCalledWith([{ id: 's1', name: 'Fresh Farms' }]);
+
+    await repo.put('sellers', 's2', { name: 'Bakery' });
+    expect(onChange).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    await repo.remove('sellers', 's1');
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+});